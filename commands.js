@@ -22,9 +22,46 @@
 
 const ALLOWED_COLLET_SIZES = ['ER11', 'ER16', 'ER20', 'ER25', 'ER32'];
 const ALLOWED_MODELS = ['Basic', 'Pro', 'Premium'];
+const TLS_POLICIES = ['always', 'oncePerSession', 'stored'];
+const TLS_OFFSET_MODES = ['absolute', 'reference'];
 const ORIENTATIONS = ['X', 'Y'];
 const DIRECTIONS = ['Positive', 'Negative'];
-const PROBE_TOOL_NUMBER = 99;
+const MAX_MAGAZINES = 4;
+const DEFAULT_PROBE_TOOL_NUMBER = 99;
+const APPROACH_KINDS = ['rack', 'toolSetter', 'manualTool'];
+const MAX_KEEP_OUT_ZONES = 8;
+const MAX_TLS_TOUCHES = 5;
+const MAX_RACK_RETRIES = 3;
+// Controller `$` settings the plugin reads: homing setup ($22, $23), max
+// rates ($110-$112), accelerations ($120-$122) and max travel ($130-$132).
+const CONTROLLER_SETTING_NUMBERS = [22, 23, 110, 111, 112, 120, 121, 122, 130, 131, 132];
+// How far each slow touch lifts off the setter before coming back down.
+const TLS_TOUCH_CLEARANCE = 1;
+// Numbered parameters the tool change leaves on the controller, which keeps
+// them after the program ends or the sender goes away: the phase it got to
+// (0 done, 1 unloading, 2 loading) and the tools it was changing between.
+// They are held in the controller's memory, so a power cycle clears them —
+// only work offsets are saved (see REFERENCE_WCS). The new tool's slot and
+// its X/Y are kept next to them for the abort block.
+const PHASE_PARAM = 4600;
+const FROM_TOOL_PARAM = 4601;
+const TO_TOOL_PARAM = 4602;
+const SLOT_PARAM = 4603;
+const SLOT_X_PARAM = 4604;
+const SLOT_Y_PARAM = 4605;
+// Lengths kept for the TLS policies, one parameter per tool 1-99: the last
+// measured length at #4700 + tool, and at #4800 + tool the session it was
+// measured in. #4699 is the session, moved on by every `$H`. Like the phase,
+// these go with a power cycle, and every tool reads as never measured.
+const SESSION_PARAM = 4699;
+const STORED_LENGTH_PARAM_BASE = 4700;
+const MEASURED_SESSION_PARAM_BASE = 4800;
+const MAX_STORED_TOOL = 99;
+// Reference-tool mode keeps the reference measurement (machine Z at the
+// setter) in G59.3's Z, because the controller saves work offsets through a
+// power cycle and nothing else. G59.3 can't be used as a work offset then.
+const REFERENCE_WCS = 9;
+const REFERENCE_Z_PARAM = 5383;
 
 // === M6 Pattern Matching (inlined from gcode-patterns.js) ===
 
@@ -32,6 +69,21 @@ const M6_PATTERN = /(?:^|[^A-Z])M0*6(?:\s*T0*(\d+)|(?=[^0-9T])|$)|(?:^|[^A-Z])T0
 // `$slot1`, `$slot2`, ... `$SLOT03` — leading zeros tolerated so a macro
 // generator that pads numbers still resolves to the same slot.
 const SLOT_PATTERN = /^\$SLOT0*(\d+)$/i;
+// A T-word on its own or among other words (`T3`, `G0 X1 T03`). The look-
+// behind keeps parameter names such as `#<_tool>` and `$TLS` out.
+const T_WORD_PATTERN = /(?:^|[^A-Z_<$])T\s*0*(\d+)/i;
+const PROGRAM_END_PATTERN = /(?:^|[^A-Z0-9.])M0*(?:2|30)(?![0-9.])/i;
+const RECOVER_PATTERN = /^\$ATC\s+RECOVER$/i;
+// `$ATC DRYRUN M6 T3`: the tool change after the prefix, as a dry run.
+const DRY_RUN_PATTERN = /^\$ATC\s+DRYRUN\s+(.+)$/i;
+// `{name}` in an event block. G-code itself never uses braces.
+const PLACEHOLDER_PATTERN = /\{([^{}\s]*)\}/g;
+
+// The host streams a job a line or a few at a time, so a T-word and the
+// bare M6 it is for usually come in different calls. The last selection is
+// kept here from one call to the next, until another T-word or program end
+// (M2/M30) replaces it. Nothing else outlives a call.
+const toolSelection = { tool: null };
 
 function isGcodeComment(command) {
   const trimmed = command.trim();
@@ -45,6 +97,12 @@ function isGcodeComment(command) {
   return false;
 }
 
+// Drop `( ... )` comments and everything after `;`, so words inside a
+// comment (`(T3 = 6mm endmill)`) are never read as commands.
+function stripGcodeComments(command) {
+  return command.replace(/\([^)]*\)/g, ' ').replace(/;.*$/, '');
+}
+
 function parseM6Command(command) {
   if (!command || typeof command !== 'string') {
     return null;
@@ -52,7 +110,7 @@ function parseM6Command(command) {
   if (isGcodeComment(command)) {
     return null;
   }
-  const normalizedCommand = command.trim().toUpperCase();
+  const normalizedCommand = stripGcodeComments(command).trim().toUpperCase();
   const match = normalizedCommand.match(M6_PATTERN);
   if (!match) {
     return null;
@@ -65,6 +123,32 @@ function parseM6Command(command) {
   };
 }
 
+// What a line does to the modal tool selection: a T-word selects the tool
+// the next M6 loads (`{ tool }`), and program end (M2/M30) clears it like
+// the controller does (`{ end: true }`). Null when it leaves it alone.
+// `$` lines are host/controller commands and never carry a T-word.
+function readToolSelection(command) {
+  if (!command || typeof command !== 'string') {
+    return null;
+  }
+  const normalizedCommand = stripGcodeComments(command).trim().toUpperCase();
+  if (normalizedCommand === '' || normalizedCommand.startsWith('$')) {
+    return null;
+  }
+  if (PROGRAM_END_PATTERN.test(normalizedCommand)) {
+    return { end: true };
+  }
+  const match = normalizedCommand.match(T_WORD_PATTERN);
+  return match ? { tool: parseInt(match[1], 10) } : null;
+}
+
+function trackToolSelection(command, state) {
+  const selection = readToolSelection(command);
+  if (selection) {
+    state.selectedTool = selection.end ? null : selection.tool;
+  }
+}
+
 function parseSlotCommand(command) {
   if (!command || typeof command !== 'string') {
     return null;
@@ -127,6 +211,8 @@ const toFiniteNumber = (value, fallback = 0) => {
 
 const sanitizeColletSize = (value) => (ALLOWED_COLLET_SIZES.includes(value) ? value : 'ER20');
 const sanitizeModel = (value) => (ALLOWED_MODELS.includes(value) ? value : 'Pro');
+const sanitizeTlsPolicy = (value, fallback) => (TLS_POLICIES.includes(value) ? value : fallback);
+const sanitizeTlsOffsetMode = (value) => (TLS_OFFSET_MODES.includes(value) ? value : 'absolute');
 const sanitizeOrientation = (value) => (ORIENTATIONS.includes(value) ? value : 'Y');
 const sanitizeDirection = (value) => (DIRECTIONS.includes(value) ? value : 'Negative');
 const sanitizeCoords = (coords = {}) => ({
@@ -134,6 +220,182 @@ const sanitizeCoords = (coords = {}) => ({
   y: toFiniteNumber(coords.y)
 });
 
+// Per-slot corrections layered on top of the linear slot array. A rack that
+// is slightly skewed, or a single slot sitting half a millimetre off, gets
+// fixed here instead of by moving the whole rack. Entry 0 is the magazine's
+// first slot; `z` shifts that slot's Z-engagement. Missing entries read as
+// no correction.
+const sanitizeSlotOffsets = (offsets, slots) => {
+  const list = Array.isArray(offsets) ? offsets : [];
+  return Array.from({ length: slots }, (_, index) => {
+    const entry = list[index] || {};
+    return {
+      x: toFiniteNumber(entry.x),
+      y: toFiniteNumber(entry.y),
+      z: toFiniteNumber(entry.z)
+    };
+  });
+};
+
+// One physical rack. Each carries its own origin (its first slot), axis,
+// direction, spacing, slot count and the Z values measured against its own
+// IR sensor — two racks on different rails share nothing but the collet.
+const sanitizeMagazine = (raw = {}) => {
+  const slots = clampSlots(raw.slots);
+  return {
+    origin: sanitizeCoords(raw.origin),
+    orientation: sanitizeOrientation(raw.orientation),
+    direction: sanitizeDirection(raw.direction),
+    slotDistance: toFiniteNumber(raw.slotDistance, 45),
+    slots,
+    zEngagement: toFiniteNumber(raw.zEngagement, -50),
+    zone1: toFiniteNumber(raw.zone1, -27.0),
+    zone2: toFiniteNumber(raw.zone2, -22.0),
+    slotOffsets: sanitizeSlotOffsets(raw.slotOffsets, slots)
+  };
+};
+
+// Configs from before multi-magazine support describe a single rack with the
+// flat `pocket1` / `pockets` / `pocketDistance` keys — read those as
+// magazine 1 so an existing install keeps its layout untouched.
+const listRawMagazines = (raw = {}) => {
+  if (Array.isArray(raw.magazines) && raw.magazines.length > 0) {
+    return raw.magazines.slice(0, MAX_MAGAZINES).map(magazine => magazine || {});
+  }
+  return [{
+    origin: raw.pocket1,
+    orientation: raw.orientation,
+    direction: raw.direction,
+    slotDistance: raw.pocketDistance,
+    slots: raw.pockets,
+    zEngagement: raw.zEngagement,
+    zone1: raw.zone1,
+    zone2: raw.zone2,
+    slotOffsets: raw.slotOffsets
+  }];
+};
+
+const sanitizeMagazines = (raw = {}) => listRawMagazines(raw).map(sanitizeMagazine);
+
+// Which rack slot each tool lives in: tool number → global slot number.
+// Configs from before the map existed get tool N → slot N for every slot,
+// which is exactly how they behaved. A slot holds one tool, so a second tool
+// claiming the same slot is dropped, as is anything pointing past the rack.
+const sanitizeToolSlots = (map, totalSlots) => {
+  if (!map || typeof map !== 'object') {
+    const identity = {};
+    for (let slot = 1; slot <= totalSlots; slot++) identity[slot] = slot;
+    return identity;
+  }
+  const result = {};
+  const used = new Set();
+  Object.keys(map)
+    .map(key => Number.parseInt(key, 10))
+    .filter(tool => Number.isFinite(tool) && tool > 0)
+    .sort((a, b) => a - b)
+    .forEach(tool => {
+      const slot = Number.parseInt(map[tool], 10);
+      if (!Number.isFinite(slot) || slot < 1 || slot > totalSlots || used.has(slot)) return;
+      result[tool] = slot;
+      used.add(slot);
+    });
+  return result;
+};
+
+// Which slots physically hold a tool (slot → true/false), as last saved
+// from the Rack view. Without a saved state every slot that has a tool
+// assigned is taken to be full.
+const sanitizeRackOccupancy = (map, totalSlots, toolSlots) => {
+  const assigned = new Set(Object.values(toolSlots));
+  const result = {};
+  for (let slot = 1; slot <= totalSlots; slot++) {
+    result[slot] = map && typeof map === 'object' && map[slot] !== undefined
+      ? !!map[slot]
+      : assigned.has(slot);
+  }
+  return result;
+};
+
+// The controller's `$` settings the plugin uses (the machine travel, see
+// getTravelEnvelope, and the rates for the time estimate), as the dialog
+// read them with `$$` and saved them: setting number → value. Null when
+// none were read.
+const sanitizeControllerSettings = (map) => {
+  if (!map || typeof map !== 'object') {
+    return null;
+  }
+  const result = {};
+  CONTROLLER_SETTING_NUMBERS.forEach(number => {
+    const value = Number.parseFloat(map[number] ?? map[`$${number}`]);
+    if (Number.isFinite(value)) {
+      result[number] = value;
+    }
+  });
+  return Object.keys(result).length > 0 ? result : null;
+};
+
+// Extra handling for particular tools: tool number → g-code run before the
+// load, after the load and before the unload, whether the tool must never
+// be spun (a drag knife, an engraving point), and a TLS policy of its own
+// ('' follows the global one). Tools with nothing set are left out, so the
+// map only lists the tools that need something.
+const sanitizeToolHooks = (map, probeToolNumber) => {
+  const result = {};
+  if (!map || typeof map !== 'object') return result;
+  const gcodeOf = (value) => (typeof value === 'string' ? value : '');
+  Object.keys(map)
+    .map(key => Number.parseInt(key, 10))
+    .filter(tool => Number.isFinite(tool) && tool > 0 && tool !== probeToolNumber)
+    .sort((a, b) => a - b)
+    .forEach(tool => {
+      const raw = map[tool] || {};
+      const hooks = {
+        preLoadGcode: gcodeOf(raw.preLoadGcode),
+        postLoadGcode: gcodeOf(raw.postLoadGcode),
+        preUnloadGcode: gcodeOf(raw.preUnloadGcode),
+        noSpindle: raw.noSpindle === true,
+        tlsPolicy: sanitizeTlsPolicy(raw.tlsPolicy, '')
+      };
+      if (hooks.noSpindle || hooks.tlsPolicy
+          || hooks.preLoadGcode.trim() || hooks.postLoadGcode.trim() || hooks.preUnloadGcode.trim()) {
+        result[tool] = hooks;
+      }
+    });
+  return result;
+};
+
+// Points the spindle travels through at safe Z on its way to the rack (any
+// slot), the tool setter or the manual tool position, in order. Points
+// without a numeric X and Y are dropped.
+const sanitizeApproachWaypoints = (map) => {
+  const result = {};
+  APPROACH_KINDS.forEach(kind => {
+    const list = map && typeof map === 'object' && Array.isArray(map[kind]) ? map[kind] : [];
+    result[kind] = list
+      .filter(point => point && Number.isFinite(Number.parseFloat(point.x)) && Number.isFinite(Number.parseFloat(point.y)))
+      .map(sanitizeCoords);
+  });
+  return result;
+};
+
+// Rectangles in machine XY that travel at safe Z must not cross — a clamp,
+// the dust boot magnet. Stored by two opposite corners, put in order here so
+// (x1, y1) is the low one; a zone with no area is dropped.
+const sanitizeKeepOutZones = (list) => (Array.isArray(list) ? list : [])
+  .slice(0, MAX_KEEP_OUT_ZONES)
+  .map((zone, index) => {
+    const raw = zone || {};
+    const [ax, ay, bx, by] = [raw.x1, raw.y1, raw.x2, raw.y2].map(value => toFiniteNumber(value));
+    return {
+      name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `Zone ${index + 1}`,
+      x1: Math.min(ax, bx),
+      y1: Math.min(ay, by),
+      x2: Math.max(ax, bx),
+      y2: Math.max(ay, by)
+    };
+  })
+  .filter(zone => zone.x2 > zone.x1 && zone.y2 > zone.y1);
+
 const clampRpm = (value) => {
   const parsed = Number.parseInt(value, 10);
   if (!Number.isFinite(parsed)) return null;
@@ -174,44 +436,78 @@ const buildInitialConfig = (raw = {}) => {
   const zRetreat = raw.zRetreat !== undefined && raw.zRetreat !== null
     ? toFiniteNumber(raw.zRetreat, getDefaultZRetreat(colletSize))
     : getDefaultZRetreat(colletSize);
+  const magazines = sanitizeMagazines(raw);
+  const primary = magazines[0];
+  const totalSlots = magazines.reduce((total, magazine) => total + magazine.slots, 0);
+  const toolSlots = sanitizeToolSlots(raw.toolSlots, totalSlots);
+  const probeToolNumber = Math.max(Math.round(toFiniteNumber(raw.probeToolNumber, DEFAULT_PROBE_TOOL_NUMBER)), 1);
 
-  return {
+  const config = {
     colletSize,
     // Storage keys stay `pockets` / `pocket1` / `pocketDistance` even though
     // the UI now says "slot" — the core's PluginManager reads `pockets` to
     // sync the app-level tool count when the plugin is enabled, and existing
-    // installs already have these keys on disk.
-    pockets: clampSlots(raw.pockets),
+    // installs already have these keys on disk. `pockets` is the slot total
+    // across every magazine; the flat geometry keys mirror magazine 1.
+    pockets: totalSlots,
+    magazines,
+    toolSlots,
+    rackOccupancy: sanitizeRackOccupancy(raw.rackOccupancy, totalSlots, toolSlots),
+    // The tool that was in the spindle when the Rack view state was saved,
+    // or null when unknown (saved before it was recorded).
+    rackOccupancyTool: Number.isInteger(raw.rackOccupancyTool) && raw.rackOccupancyTool >= 0
+      ? raw.rackOccupancyTool
+      : null,
     model: sanitizeModel(raw.model ?? raw.trip ?? raw.modelName ?? raw.machineModel),
-    orientation: sanitizeOrientation(raw.orientation),
-    direction: sanitizeDirection(raw.direction),
+    orientation: primary.orientation,
+    direction: primary.direction,
     showMacroCommand: raw.showMacroCommand ?? false,
     performTlsAfterHome: raw.performTlsAfterHome ?? false,
     spindleAtSpeed,
     addProbe: raw.addProbe ?? false,
+    probeToolNumber,
     atcStartDelay: clampAtcStartDelay(raw.atcStartDelay ?? raw.spindleDelay),
+    dryRun: raw.dryRun ?? false,
+    dryRunClearance: Math.max(toFiniteNumber(raw.dryRunClearance, 10), 1),
+    dryRunFeedrate: Math.max(toFiniteNumber(raw.dryRunFeedrate, 1000), 1),
+    dryRunFeedScale: Math.min(Math.max(Math.round(toFiniteNumber(raw.dryRunFeedScale, 50)), 1), 100),
 
-    pocket1: sanitizeCoords(raw.pocket1),
+    pocket1: primary.origin,
     toolSetter: sanitizeCoords(raw.toolSetter),
     manualTool: sanitizeCoords(raw.manualTool),
-    pocketDistance: toFiniteNumber(raw.pocketDistance, 45),
+    pocketDistance: primary.slotDistance,
+    approachWaypoints: sanitizeApproachWaypoints(raw.approachWaypoints),
+    keepOutZones: sanitizeKeepOutZones(raw.keepOutZones),
+    controllerSettings: sanitizeControllerSettings(raw.controllerSettings),
 
-    zEngagement: toFiniteNumber(raw.zEngagement, -50),
+    zEngagement: primary.zEngagement,
     zSafe: toFiniteNumber(raw.zSafe, 0), // fallback; overridden by context.safeZHeight at runtime
     zSpinOff: toFiniteNumber(raw.zSpinOff, 23),
     zRetreat,
     zProbeStart: toFiniteNumber(raw.zProbeStart, -20),
-    zone1: toFiniteNumber(raw.zone1, -27.0),
-    zone2: toFiniteNumber(raw.zone2, -22.0),
+    zone1: primary.zone1,
+    zone2: primary.zone2,
 
     loadRpm,
     unloadRpm,
     loadPlunges: Math.min(Math.max(toFiniteNumber(raw.loadPlunges, 3), 1), 10),
     unloadPlunges: Math.min(Math.max(toFiniteNumber(raw.unloadPlunges, 1), 1), 10),
+    // Unload has always had one retry built in; load had none.
+    loadRetries: Math.min(Math.max(Math.round(toFiniteNumber(raw.loadRetries, 0)), 0), MAX_RACK_RETRIES),
+    unloadRetries: Math.min(Math.max(Math.round(toFiniteNumber(raw.unloadRetries, 1)), 0), MAX_RACK_RETRIES),
+    retryExtraPlunges: Math.min(Math.max(Math.round(toFiniteNumber(raw.retryExtraPlunges, 0)), 0), 5),
+    retryRpmBump: Math.min(Math.max(Math.round(toFiniteNumber(raw.retryRpmBump, 0)), 0), 1000),
     engageFeedrate: toFiniteNumber(raw.engageFeedrate, 3500),
 
     seekDistance: toFiniteNumber(raw.seekDistance, 50),
     seekFeedrate: toFiniteNumber(raw.seekFeedrate, 500),
+    tlsPolicy: sanitizeTlsPolicy(raw.tlsPolicy, 'always'),
+    tlsOffsetMode: sanitizeTlsOffsetMode(raw.tlsOffsetMode),
+    tlsTouches: Math.min(Math.max(Math.round(toFiniteNumber(raw.tlsTouches, 1)), 1), MAX_TLS_TOUCHES),
+    tlsSlowFeedrate: Math.max(toFiniteNumber(raw.tlsSlowFeedrate, 50), 1),
+    tlsMaxSpread: Math.max(toFiniteNumber(raw.tlsMaxSpread, 0.02), 0.001),
+    toolLengthCheck: raw.toolLengthCheck ?? false,
+    toolLengthTolerance: Math.max(toFiniteNumber(raw.toolLengthTolerance, 0.5), 0.01),
     toolSensor: raw.toolSensor ?? 'Probe/TLS',
 
     probeLoadGcode: raw.probeLoadGcode ?? '',
@@ -219,23 +515,236 @@ const buildInitialConfig = (raw = {}) => {
 
     preToolChangeGcode: raw.preToolChangeGcode ?? '',
     postToolChangeGcode: raw.postToolChangeGcode ?? '',
-    abortEventGcode: raw.abortEventGcode ?? '',
+    // The Abort Event block as the operator wrote it. `abortEventGcode` is
+    // the block the host runs, built from it below; settings saved before
+    // the two were split keep the operator's block there. The template is
+    // read first, so building from a built config gives the same block.
+    abortEventTemplate: raw.abortEventTemplate ?? raw.abortEventGcode ?? '',
+    coverOpenGcode: raw.coverOpenGcode ?? '',
+    coverCloseGcode: raw.coverCloseGcode ?? '',
+    toolHooks: sanitizeToolHooks(raw.toolHooks, probeToolNumber),
     preTlsGcode: raw.preTlsGcode ?? migrateLegacyTlsAux(raw.tlsAuxOutput, 'on'),
     postTlsGcode: raw.postTlsGcode ?? migrateLegacyTlsAux(raw.tlsAuxOutput, 'off')
   };
+  config.abortEventGcode = createAbortEventGcode(config);
+  config.storedProblems = findStoredValueProblems(raw);
+  return config;
 };
 
+// === Configuration Validation ===
+
+const isNumeric = (value) => typeof value === 'number'
+  ? Number.isFinite(value)
+  : typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+
+// Travel the rack takes up in XY: from the first slot to the last along its
+// axis, half a slot distance out on every side.
+function getMagazineFootprint(magazine) {
+  const half = Math.abs(magazine.slotDistance) / 2;
+  const length = (magazine.slots - 1) * magazine.slotDistance * (magazine.direction === 'Negative' ? -1 : 1);
+  const end = magazine.orientation === 'Y'
+    ? { x: magazine.origin.x, y: magazine.origin.y + length }
+    : { x: magazine.origin.x + length, y: magazine.origin.y };
+  return {
+    minX: Math.min(magazine.origin.x, end.x) - half,
+    maxX: Math.max(magazine.origin.x, end.x) + half,
+    minY: Math.min(magazine.origin.y, end.y) - half,
+    maxY: Math.max(magazine.origin.y, end.y) + half
+  };
+}
+
+// buildInitialConfig never fails: a value it can't use is clamped or
+// replaced by its default, and geometry that can't be right is taken as
+// given. The checks below say what is wrong instead. Errors are values the
+// plugin would have to change or can't work with; warnings are ones that
+// are probably a mistake but might be meant. Each is `{ field, message }`,
+// `field` being the setting's path in the stored config.
+//
+// A value that was clamped or defaulted is gone once the config is built,
+// so these run on the stored config; buildInitialConfig keeps what they
+// found as `storedProblems`.
+function findStoredValueProblems(raw = {}) {
+  const errors = [];
+  const warnings = [];
+  // Missing values fall back to a default and are fine; present ones that
+  // aren't numbers are not.
+  const checkNumber = (field, value, label) => {
+    if (value === undefined || value === null || isNumeric(value)) return true;
+    errors.push({ field, message: `${label} is not a number.` });
+    return false;
+  };
+
+  [['loadRpm', 'Load RPM'], ['unloadRpm', 'Unload RPM']].forEach(([field, label]) => {
+    const value = raw[field];
+    if (value === undefined || value === null) return;
+    if (!isNumeric(value) || Number(value) < 500 || Number(value) > 2000) {
+      errors.push({ field, message: `${label} must be between 500 and 2000.` });
+    }
+  });
+
+  const rawMagazines = listRawMagazines(raw);
+  const magazines = rawMagazines.map(sanitizeMagazine);
+  rawMagazines.forEach((magazine, index) => {
+    const prefix = `magazines[${index}].`;
+    const name = rawMagazines.length > 1 ? `Magazine ${index + 1}` : 'Magazine';
+    const slots = magazine.slots;
+    if (slots !== undefined && slots !== null
+      && (!isNumeric(slots) || !Number.isInteger(Number(slots)) || Number(slots) < 1 || Number(slots) > 8)) {
+      errors.push({ field: `${prefix}slots`, message: `${name}: slots must be a whole number from 1 to 8.` });
+    }
+    checkNumber(`${prefix}origin.x`, magazine.origin?.x, `${name}: slot 1 X`);
+    checkNumber(`${prefix}origin.y`, magazine.origin?.y, `${name}: slot 1 Y`);
+    if (checkNumber(`${prefix}slotDistance`, magazine.slotDistance, `${name}: slot distance`)
+      && magazines[index].slotDistance <= 0) {
+      errors.push({ field: `${prefix}slotDistance`, message: `${name}: slot distance must be greater than 0.` });
+    }
+    const zValid = [
+      checkNumber(`${prefix}zEngagement`, magazine.zEngagement, `${name}: Z-engagement`),
+      checkNumber(`${prefix}zone1`, magazine.zone1, `${name}: Zone 1`),
+      checkNumber(`${prefix}zone2`, magazine.zone2, `${name}: Zone 2`)
+    ].every(Boolean);
+    if (zValid) {
+      const { zEngagement, zone1, zone2 } = magazines[index];
+      if (zone1 <= zEngagement) {
+        errors.push({ field: `${prefix}zone1`, message: `${name}: Zone 1 must be above Z-engagement.` });
+      }
+      if (zone2 <= zone1) {
+        errors.push({ field: `${prefix}zone2`, message: `${name}: Zone 2 must be above Zone 1.` });
+      }
+    }
+  });
+
+  checkNumber('toolSetter.x', raw.toolSetter?.x, 'Tool setter X');
+  checkNumber('toolSetter.y', raw.toolSetter?.y, 'Tool setter Y');
+  checkNumber('manualTool.x', raw.manualTool?.x, 'Manual tool X');
+  checkNumber('manualTool.y', raw.manualTool?.y, 'Manual tool Y');
+
+  // A zone is nothing but its corners, so a missing one isn't defaulted.
+  (Array.isArray(raw.keepOutZones) ? raw.keepOutZones : []).forEach((zone, index) => {
+    const name = zone?.name?.trim?.() || `Zone ${index + 1}`;
+    const corners = ['x1', 'y1', 'x2', 'y2'];
+    corners.forEach(corner => {
+      if (!isNumeric(zone?.[corner])) {
+        errors.push({ field: `keepOutZones[${index}].${corner}`, message: `Keep-out zone ${name}: ${corner.toUpperCase()} is not a number.` });
+      }
+    });
+    if (corners.every(corner => isNumeric(zone[corner]))
+      && (Number(zone.x1) === Number(zone.x2) || Number(zone.y1) === Number(zone.y2))) {
+      errors.push({ field: `keepOutZones[${index}]`, message: `Keep-out zone ${name} has no area.` });
+    }
+  });
+
+  // Caught here so the dialog won't save a block a tool change would refuse
+  // to run.
+  findUnknownPlaceholders({
+    ...raw,
+    abortEventTemplate: raw.abortEventTemplate ?? raw.abortEventGcode,
+    toolHooks: sanitizeToolHooks(raw.toolHooks)
+  }).forEach(({ field, path, name }) => {
+    errors.push({ field: path, message: `${field}: unknown placeholder {${name}}.` });
+  });
+
+  return { errors, warnings };
+}
+
+// Where the built config sends the spindle. Inside the controller's travel,
+// when that is known, is a must; a setter inside the rack is usually a
+// slot 1 position copied over, and the TLS move would take the spindle down
+// onto a tool in the rack.
+const TRAVEL_UNKNOWN_MESSAGE = 'The machine travel is not known: $130-$132 have not been read, so nothing is checked against it.';
+
+function findPositionProblems(settings, envelope) {
+  const errors = [];
+  const warnings = [];
+
+  settings.magazines.forEach((magazine, index) => {
+    const box = getMagazineFootprint(magazine);
+    const { x, y } = settings.toolSetter;
+    if (x > box.minX && x < box.maxX && y > box.minY && y < box.maxY) {
+      const name = settings.magazines.length > 1 ? `magazine ${index + 1}` : 'the magazine';
+      warnings.push({ field: 'toolSetter', message: `The tool setter lies inside ${name}.` });
+    }
+  });
+
+  if (envelope) {
+    getTravelTargets(settings).forEach(target => {
+      TRAVEL_AXES.forEach(axis => {
+        const range = envelope[axis];
+        if (!range) return;
+        target[axis].forEach(value => {
+          if (value >= range.min - TRAVEL_TOLERANCE && value <= range.max + TRAVEL_TOLERANCE) return;
+          const message = `${target.label}: ${axis}${value} is outside the ${axis} travel ${range.min} to ${range.max}.`;
+          if (!errors.some(error => error.message === message)) {
+            errors.push({ field: target.field, message });
+          }
+        });
+      });
+    });
+    return { errors, warnings };
+  }
+
+  // Without the controller's travel the only sure limit is machine zero:
+  // a machine homed the usual way has no travel on the positive side.
+  warnings.push({ field: 'controllerSettings', message: TRAVEL_UNKNOWN_MESSAGE });
+  let firstSlot = 1;
+  settings.magazines.forEach((magazine, index) => {
+    const box = getMagazineFootprint(magazine);
+    const half = Math.abs(magazine.slotDistance) / 2;
+    if (box.maxX - half > 0 || box.maxY - half > 0) {
+      const last = firstSlot + magazine.slots - 1;
+      const slots = last > firstSlot ? `Slots ${firstSlot}-${last} reach` : `Slot ${firstSlot} reaches`;
+      warnings.push({
+        field: `magazines[${index}].origin`,
+        message: `${slots} past machine zero, outside the travel of a machine that homes to its positive limits.`
+      });
+    }
+    firstSlot += magazine.slots;
+  });
+
+  return { errors, warnings };
+}
+
+// Everything wrong with a built config: what its stored values had, and its
+// positions against the travel from the controller's `$` settings (see
+// getTravelEnvelope) when those are known. Run before every M6.
+function validateSettings(settings, controllerSettings = settings.controllerSettings) {
+  const stored = settings.storedProblems;
+  const positions = findPositionProblems(settings, getTravelEnvelope(controllerSettings));
+  return {
+    errors: [...stored.errors, ...positions.errors],
+    warnings: [...stored.warnings, ...positions.warnings]
+  };
+}
+
+// The same for a config as stored — the one the dialog is about to save, or
+// one edited by hand — with the controller settings saved in it.
+function validateConfig(raw = {}) {
+  return validateSettings(buildInitialConfig(raw));
+}
+
 // === Tool Offset Lookup (pure, from pre-fetched array) ===
 
+// `length` is the expected length the broken/wrong tool check compares
+// against: `offsets.tlo` of the tool's library entry, the tool length offset
+// the host records there after each TLS. Nothing else in the library data
+// holds a length — `tlsZ` only moves where the TLS starts. A missing,
+// non-numeric or zero value leaves the tool unmeasured (null): the check
+// can't run for it, and Preflight lists it as unmeasured.
 function getToolOffsets(toolNumber, tools) {
   if (!toolNumber || toolNumber <= 0 || !Array.isArray(tools)) {
-    return { x: 0, y: 0, z: 0 };
+    return { x: 0, y: 0, z: 0, length: null };
   }
   const tool = tools.find(t => t.toolNumber === toolNumber);
   if (tool && tool.offsets) {
-    return { x: tool.offsets.x || 0, y: tool.offsets.y || 0, z: tool.offsets.tlsZ || 0 };
+    const length = Number(tool.offsets.tlo);
+    return {
+      x: tool.offsets.x || 0,
+      y: tool.offsets.y || 0,
+      z: tool.offsets.tlsZ || 0,
+      length: Number.isFinite(length) && length !== 0 ? length : null
+    };
   }
-  return { x: 0, y: 0, z: 0 };
+  return { x: 0, y: 0, z: 0, length: null };
 }
 
 // === G-code Generation Helpers ===
@@ -310,7 +819,96 @@ function formatGCode(gcode) {
 
 // === Routine Generators ===
 
-function createToolLengthSetRoutine(settings, toolOffsets = { x: 0, y: 0, z: 0 }) {
+// How a fresh TLS measurement is checked before it is applied:
+//   'library' — against the length the tool library expects for the tool,
+//               when Check Tool Length is on and the library has one;
+//   'previous' — against the offset in effect before probing (`$TLS CHECK`),
+//               to catch a bit that broke mid-job;
+//   null — not at all.
+// A measurement outside the tolerance halts on M0 with Continue / Abort;
+// Continue applies the new measurement.
+function createToolLengthCheck(settings, toolNumber, toolOffsets, mode) {
+  const tolerance = settings.toolLengthTolerance;
+
+  if (mode === 'library' && settings.toolLengthCheck && toolOffsets.length !== null) {
+    return `
+      o400 IF [ABS[#<_nc_last_tlo> - [${toolOffsets.length}]] GT ${tolerance}]
+        G4 P0
+        (MSG, PLUGIN_RAPIDCHANGEATC:TOOL_LENGTH_MISMATCH_${toolNumber})
+        M0
+      o400 ENDIF
+    `.trim();
+  }
+
+  // No offset in effect means nothing to compare with — the check passes.
+  if (mode === 'previous') {
+    return `
+      o401 IF [[#<_rcatc_prev_tlo> NE 0] AND [ABS[#<_nc_last_tlo> - #<_rcatc_prev_tlo>] GT ${tolerance}]]
+        G4 P0
+        (MSG, PLUGIN_RAPIDCHANGEATC:TOOL_LENGTH_CHANGED_${toolNumber})
+        M0
+      o401 ENDIF
+    `.trim();
+  }
+
+  return '';
+}
+
+// One set of slow touches after the fast seek has found the setter. Each
+// touch lifts clear, comes back down at the slow feed and records where the
+// switch releases on the way up — the same point a single-touch TLS uses.
+// The touches are written out one by one (streamed grblHAL has no loops),
+// then reduced to min, max and average in #<_rcatc_tls_min/max/avg>.
+// `oBase` keeps the o-numbers of a retry set apart from the first set.
+function createProbeTouches(settings, oBase) {
+  const touches = settings.tlsTouches;
+  const lines = [];
+
+  for (let touch = 1; touch <= touches; touch++) {
+    lines.push(
+      `G91 G0 Z${TLS_TOUCH_CLEARANCE}`,
+      `G38.2 G91 Z-${TLS_TOUCH_CLEARANCE * 2} F${settings.tlsSlowFeedrate}`,
+      'G4 P0.2',
+      'G38.4 G91 Z5 F75',
+      `#<_rcatc_tls${touch}> = #5063`
+    );
+  }
+
+  lines.push('#<_rcatc_tls_min> = #<_rcatc_tls1>', '#<_rcatc_tls_max> = #<_rcatc_tls1>');
+  for (let touch = 2; touch <= touches; touch++) {
+    lines.push(
+      `o${oBase + touch} IF [#<_rcatc_tls${touch}> LT #<_rcatc_tls_min>]`,
+      `#<_rcatc_tls_min> = #<_rcatc_tls${touch}>`,
+      `o${oBase + touch} ENDIF`,
+      `o${oBase + MAX_TLS_TOUCHES + touch} IF [#<_rcatc_tls${touch}> GT #<_rcatc_tls_max>]`,
+      `#<_rcatc_tls_max> = #<_rcatc_tls${touch}>`,
+      `o${oBase + MAX_TLS_TOUCHES + touch} ENDIF`
+    );
+  }
+
+  const sum = Array.from({ length: touches }, (_, index) => `#<_rcatc_tls${index + 1}>`).join(' + ');
+  lines.push(`#<_rcatc_tls_avg> = [[${sum}] / ${touches}]`);
+  return lines.join('\n');
+}
+
+// Touches that spread further than Max Spread get one more full set; a
+// second bad set stops on M0 and Continue goes on with that set's average.
+function createMultiTouchProbe(settings, toolNumber) {
+  const spreadTooWide = `[[#<_rcatc_tls_max> - #<_rcatc_tls_min>] GT ${settings.tlsMaxSpread}]`;
+  return `
+    ${createProbeTouches(settings, 410)}
+    o450 IF ${spreadTooWide}
+      ${createProbeTouches(settings, 430)}
+      o451 IF ${spreadTooWide}
+        G4 P0
+        (MSG, PLUGIN_RAPIDCHANGEATC:TLS_INCONSISTENT_${toolNumber})
+        M0
+      o451 ENDIF
+    o450 ENDIF
+  `.trim();
+}
+
+function createToolLengthSetRoutine(settings, toolOffsets = { x: 0, y: 0, z: 0 }, toolNumber = 0, checkMode = 'library', previousTool = toolNumber, from = null) {
   const tlsX = settings.toolSetter.x + (toolOffsets.x || 0);
   const tlsY = settings.toolSetter.y + (toolOffsets.y || 0);
   const tlsZ = toolOffsets.z || 0;
@@ -320,8 +918,9 @@ function createToolLengthSetRoutine(settings, toolOffsets = { x: 0, y: 0, z: 0 }
   // Post TLS right after the probe retracts and before the TLO is applied.
   // Replaces the old single-aux dropdown: anything that dropdown could do
   // (M64/M65, M7/M8/M9) is just a line in these blocks now.
-  const preTls = indentBlock(settings.preTlsGcode);
-  const postTls = indentBlock(settings.postTlsGcode);
+  const placeholders = getPlaceholderValues(settings, previousTool, toolNumber);
+  const preTls = indentBlock(expandPlaceholders(settings.preTlsGcode, placeholders));
+  const postTls = indentBlock(expandPlaceholders(settings.postTlsGcode, placeholders));
 
   // Safety descent from safe Z down to the probe-start altitude
   // (zProbeStart + the tool library's per-tool Z bias). Instead of
@@ -340,33 +939,156 @@ function createToolLengthSetRoutine(settings, toolOffsets = { x: 0, y: 0, z: 0 }
       ? `G91 G0 Z${approachDelta.toFixed(3)}\n    G90`
       : '';
 
+  // A dry run measures nothing: the tool in the spindle isn't the one the
+  // change was for, so it stops over the setter at safe Z. The approach
+  // down to the probe start height is a probing move that stops only on
+  // the setter, and it would come down on a tool of unknown length.
+  if (settings.dryRun) {
+    const gcode = `
+      G53 G0 Z${settings.zSafe}
+      ${createApproachMoves(settings, 'toolSetter', { x: tlsX, y: tlsY }, from)}
+      ${createDryRunConfirmation('DRY_RUN_TLS', toolNumber)}
+    `.trim();
+    return gcode.split('\n');
+  }
+
+  // One touch keeps the original seek-and-release cycle; more touches add
+  // the slow set and measure from its average instead of the last release.
+  const multiTouch = settings.tlsTouches > 1 ? createMultiTouchProbe(settings, toolNumber) : '';
+  const measured = settings.tlsTouches > 1 ? '#<_rcatc_tls_avg>' : '#5063';
+  const lengthCheck = createToolLengthCheck(settings, toolNumber, toolOffsets, checkMode);
+  const referenceOffset = createReferenceOffset(settings, toolNumber, checkMode);
+  const savePreviousLength = checkMode === 'previous' ? '#<_rcatc_prev_tlo> = #<_tool_offset>' : '';
+
   const gcode = `
     G53 G0 Z${settings.zSafe}
-    G53 G0 X${tlsX} Y${tlsY}
+    ${createApproachMoves(settings, 'toolSetter', { x: tlsX, y: tlsY }, from)}
     ${approach}
     ${preTls}
+    ${savePreviousLength}
     G43.1 Z0
     G38.2 G91 Z-${settings.seekDistance} F${settings.seekFeedrate}
     G4 P0.2
     G38.4 G91 Z5 F75
+    ${multiTouch}
     G91 G0 Z5
     G90
     ${postTls}
     #<_ofs_idx> = [#5220 * 20 + 5203]
     #<_cur_wcs_z_ofs> = #[#<_ofs_idx>]
-    #<_nc_last_tlo> = [#5063 + #<_cur_wcs_z_ofs>]
+    #<_nc_last_tlo> = [${measured} + #<_cur_wcs_z_ofs>]
+    ${referenceOffset}
+    ${lengthCheck}
     G43.1 Z[#<_nc_last_tlo>]
+    ${createLengthCapture(toolNumber)}
     (Notify ncSender that toolLengthSet is now set)
     $#=_tool_offset
   `.trim();
   return gcode.split('\n');
 }
 
-function createToolLengthSetProgram(settings, toolOffsets = { x: 0, y: 0, z: 0 }) {
-  const tlsRoutine = createToolLengthSetRoutine(settings, toolOffsets).join('\n');
+// === Reference Tool ===
+//
+// By default the applied offset is the setter reading plus the active work
+// Z offset, which only holds while that work Z stands. In reference mode
+// the offset is the difference from a reference measurement kept on the
+// controller instead — the reference tool itself gets 0 — so offsets stay
+// valid after re-zeroing Z, switching work offsets or a power cycle.
+// `$TLS REF` measures the tool in use as the new reference (checkMode
+// 'reference'); with no reference kept yet, the first TLS offers to make
+// its tool the reference.
+function createReferenceOffset(settings, toolNumber, checkMode) {
+  if (settings.tlsOffsetMode !== 'reference') {
+    return '';
+  }
+
+  if (checkMode === 'reference') {
+    return `
+      G10 L2 P${REFERENCE_WCS} Z[#<_nc_last_tlo>]
+      #<_nc_last_tlo> = 0
+    `.trim();
+  }
+
+  return `
+    o470 IF [#${REFERENCE_Z_PARAM} EQ 0]
+      G4 P0
+      (MSG, PLUGIN_RAPIDCHANGEATC:REFERENCE_NOT_SET_${toolNumber})
+      M0
+      G10 L2 P${REFERENCE_WCS} Z[#<_nc_last_tlo>]
+    o470 ENDIF
+    #<_nc_last_tlo> = [#<_nc_last_tlo> - #${REFERENCE_Z_PARAM}]
+  `.trim();
+}
+
+// === TLS Policy ===
+//
+// Measuring every tool on every load is the safe default, but a job that
+// swaps between a few tools spends minutes at the setter re-measuring
+// lengths that haven't changed. Each measurement is kept on the controller,
+// so a load can instead apply the kept length: `oncePerSession` measures a
+// tool the first time it's loaded after homing, `stored` whenever nothing
+// is kept for it yet. A tool with a policy of its own overrides the global
+// one; tools past 99 have no parameters and are always measured.
+
+function getTlsPolicy(settings, toolNumber) {
+  if (toolNumber < 1 || toolNumber > MAX_STORED_TOOL) {
+    return 'always';
+  }
+  return settings.toolHooks?.[toolNumber]?.tlsPolicy || settings.tlsPolicy;
+}
+
+// Record what the routine just measured, for the policy check next time.
+function createLengthCapture(toolNumber) {
+  if (toolNumber < 1 || toolNumber > MAX_STORED_TOOL) {
+    return '';
+  }
+  return `
+    #${STORED_LENGTH_PARAM_BASE + toolNumber} = #<_nc_last_tlo>
+    #${MEASURED_SESSION_PARAM_BASE + toolNumber} = #${SESSION_PARAM}
+  `.trim();
+}
+
+// Only moved on when some tool measures once per session, so `$H` stays a
+// plain `$H` for everyone else.
+function usesSessionPolicy(settings) {
+  return settings.tlsPolicy === 'oncePerSession'
+    || Object.values(settings.toolHooks || {}).some(hooks => hooks.tlsPolicy === 'oncePerSession');
+}
+
+// The TLS for a freshly loaded tool under its policy: the full routine, or
+// the kept length applied with G43.1 when the policy allows it — decided on
+// the controller, since only it knows what is kept.
+function createPolicyToolLengthSet(settings, toolNumber, tlsRoutine) {
+  const policy = getTlsPolicy(settings, toolNumber);
+  if (policy === 'always' || settings.dryRun) {
+    return tlsRoutine;
+  }
+
+  const storedLength = `#${STORED_LENGTH_PARAM_BASE + toolNumber}`;
+  const canSkip = policy === 'oncePerSession'
+    ? `[#${MEASURED_SESSION_PARAM_BASE + toolNumber} EQ #${SESSION_PARAM}] AND [#${SESSION_PARAM} GT 0] AND [${storedLength} NE 0]`
+    : `${storedLength} NE 0`;
+
+  return `
+    #<_rcatc_measure> = 1
+    o460 IF [${canSkip}]
+      #<_rcatc_measure> = 0
+      G43.1 Z[${storedLength}]
+      (Notify ncSender that toolLengthSet is now set)
+      $#=_tool_offset
+    o460 ENDIF
+    o461 IF [#<_rcatc_measure> EQ 1]
+      ${tlsRoutine}
+    o461 ENDIF
+  `.trim();
+}
+
+function createToolLengthSetProgram(settings, toolOffsets = { x: 0, y: 0, z: 0 }, toolNumber = 0, checkMode = 'library') {
+  const tlsRoutine = createToolLengthSetRoutine(settings, toolOffsets, toolNumber, checkMode).join('\n');
 
-  const preToolChangeCmd = settings.preToolChangeGcode?.trim() || '';
-  const postToolChangeCmd = settings.postToolChangeGcode?.trim() || '';
+  const placeholders = getPlaceholderValues(settings, toolNumber, toolNumber);
+  const preToolChangeCmd = expandPlaceholders(settings.preToolChangeGcode?.trim(), placeholders);
+  const postToolChangeCmd = expandPlaceholders(settings.postToolChangeGcode?.trim(), placeholders);
 
   const gcode = `
     (Start of Tool Length Setter)
@@ -386,290 +1108,1556 @@ function createToolLengthSetProgram(settings, toolOffsets = { x: 0, y: 0, z: 0 }
 
 // === Slot Position Calculation ===
 
-function calculateSlotPosition(settings, slotNum) {
-  if (slotNum <= 0) {
-    return { x: settings.pocket1.x, y: settings.pocket1.y };
-  }
-  const direction = settings.direction === 'Negative' ? -1 : 1;
-  const offset = (slotNum - 1) * settings.pocketDistance * direction;
-  if (settings.orientation === 'Y') {
-    return { x: settings.pocket1.x, y: settings.pocket1.y + offset };
-  } else {
-    return { x: settings.pocket1.x + offset, y: settings.pocket1.y };
+// Slot numbers run on across magazines: with a 6-slot and a 4-slot rack,
+// slots 1-6 are the first magazine and 7-10 the second. Returns the magazine
+// and the 1-based slot within it, or null past the last slot.
+function resolveSlot(settings, slotNum) {
+  let first = 1;
+  for (const magazine of settings.magazines) {
+    if (slotNum < first + magazine.slots) {
+      return { magazine, index: slotNum - first + 1 };
+    }
+    first += magazine.slots;
   }
+  return null;
 }
 
-// === Tool Change Sub-Routines ===
-
-function createManualToolFallback(settings, messageCode) {
-  // G4 P0 forces a planner sync, so the operator dialog only appears once the
-  // retract and park moves have actually finished — not while the machine is
-  // still travelling. Keeping the message adjacent to M0 means it cannot be
-  // dismissed before the controller has reached the hold.
-  return `
-    G53 G0 Z${settings.zSafe}
-    G53 G0 X${settings.manualTool.x} Y${settings.manualTool.y}
-    G4 P0
-    (MSG, ${messageCode})
-    M0
-  `.trim();
+// XY comes from the slot's magazine (its origin + n × slot distance along
+// its orientation axis) plus that slot's own correction; `z` is the slot's
+// Z-engagement, which the same correction can shift. The zones travel with
+// the slot because each magazine has its own IR sensor.
+function calculateSlotPosition(settings, slotNum) {
+  const resolved = slotNum > 0 ? resolveSlot(settings, slotNum) : null;
+  const magazine = resolved ? resolved.magazine : settings.magazines[0];
+  const zones = { zone1: magazine.zone1, zone2: magazine.zone2 };
+  if (!resolved) {
+    return { x: magazine.origin.x, y: magazine.origin.y, z: magazine.zEngagement, ...zones };
+  }
+  const direction = magazine.direction === 'Negative' ? -1 : 1;
+  const offset = (resolved.index - 1) * magazine.slotDistance * direction;
+  const correction = magazine.slotOffsets[resolved.index - 1] || { x: 0, y: 0, z: 0 };
+  const base = magazine.orientation === 'Y'
+    ? { x: magazine.origin.x, y: magazine.origin.y + offset }
+    : { x: magazine.origin.x + offset, y: magazine.origin.y };
+  return {
+    x: base.x + correction.x,
+    y: base.y + correction.y,
+    z: magazine.zEngagement + correction.z,
+    ...zones
+  };
 }
 
-function createToolUnload(settings) {
-  const zone1 = settings.zone1;
-  const g65p6Before = settings.spindleAtSpeed ? '' : 'G65P6';
-  const g65p6After = settings.spindleAtSpeed ? '' : 'G65P6';
-  return `
-    G53 G0 Z${settings.zEngagement + settings.zSpinOff}
-    ${g65p6Before}
-    M4 S${settings.unloadRpm}
-    ${Array.from({ length: settings.unloadPlunges }, () =>
-      `G53 G1 Z${settings.zEngagement} F${settings.engageFeedrate}\n    G53 G1 Z${settings.zEngagement + settings.zRetreat} F${settings.engageFeedrate}`
-    ).join('\n    ')}
-    ${g65p6After}
-    M5
-    G53 G0 Z${zone1}
-    G4 P0.2
-  `.trim();
+// Rack slot assigned to a tool, or null when it has none — those tools go
+// through the manual change at the Manual Tool position.
+function getToolSlot(settings, toolNumber) {
+  const slot = settings.toolSlots?.[toolNumber];
+  return Number.isFinite(slot) ? slot : null;
 }
 
-function createToolLoad(settings, tool) {
-  const g65p6Before = settings.spindleAtSpeed ? '' : 'G65P6';
-  const g65p6After = settings.spindleAtSpeed ? '' : 'G65P6';
+// === Machine Travel ===
+
+// Every rapid here is a `G53` move to a computed machine coordinate, so a
+// wrong slot distance or direction drives straight into a hard stop. The
+// travel comes from the controller's `$` settings: the ones the dialog read
+// and saved, or `context.controllerSettings` (keyed `130` or `$130`) from a
+// host that passes them. Max travel is $130-$132. Grbl puts machine zero
+// at the homed end and counts away from it in negative, whichever way the
+// axis homes, unless homing sets the origin ($22 bit 3) on an axis that
+// homes negative ($23) — then the travel runs positive. An axis without a
+// max travel isn't checked.
+const TRAVEL_AXES = ['X', 'Y', 'Z'];
+const HOMING_SETS_ORIGIN = 8;
+const TRAVEL_TOLERANCE = 0.001;
+const G53_MOVE_PATTERN = /(?:^|[^A-Z0-9])G0*53(?![0-9.])/i;
+const AXIS_WORD_PATTERN = /([XYZ])\s*(-?(?:\d+\.?\d*|\.\d+))/gi;
+
+function getControllerSetting(controllerSettings, number) {
+  const value = controllerSettings[number] ?? controllerSettings[`$${number}`];
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
 
-  const loadSequence = `
-    G53 G0 Z${settings.zEngagement + settings.zSpinOff}
-    ${g65p6Before}
-    M3 S${settings.loadRpm}
-    ${Array.from({ length: settings.loadPlunges }, () =>
-      `G53 G1 Z${settings.zEngagement} F${settings.engageFeedrate}\n    G53 G1 Z${settings.zEngagement + settings.zRetreat} F${settings.engageFeedrate}`
-    ).join('\n    ')}
-    ${g65p6After}
-    M5
-    G53 G0 Z${settings.zone1}
-    G4 P0.2
-  `.trim();
+function getControllerSettings(context, settings) {
+  return context.controllerSettings ?? settings.controllerSettings;
+}
 
-  if (settings.model === 'Basic') {
-    return `
-      ${loadSequence}
-      M61 Q${tool}
-    `.trim();
+function getTravelEnvelope(controllerSettings) {
+  if (!controllerSettings) {
+    return null;
   }
+  const homingFlags = getControllerSetting(controllerSettings, 22) ?? 0;
+  const homingDirections = getControllerSetting(controllerSettings, 23) ?? 0;
+  const envelope = {};
+  TRAVEL_AXES.forEach((axis, index) => {
+    const travel = getControllerSetting(controllerSettings, 130 + index);
+    if (!travel || travel <= 0) {
+      return;
+    }
+    const positive = (homingFlags & HOMING_SETS_ORIGIN) && (homingDirections & (1 << index));
+    envelope[axis] = positive ? { min: 0, max: travel } : { min: -travel, max: 0 };
+  });
+  return Object.keys(envelope).length > 0 ? envelope : null;
+}
 
-  const manualFallback = createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:FAILED_LOAD_TOOL_${tool}`);
-  const sensorCheckNotTriggered = getSensorCheckCondition(settings.toolSensor, 0, 300);
-  const sensorCheckTriggered = getSensorCheckCondition(settings.toolSensor, 1, 301);
-  const sensorCheckClose300 = getSensorCheckClose(300);
-  const sensorCheckClose301 = getSensorCheckClose(301);
+// The literal X/Y/Z words of a `G53` move, or null for any other line.
+// A word given as an expression isn't known until the controller runs it.
+function readG53Move(line) {
+  const move = stripGcodeComments(line);
+  if (!G53_MOVE_PATTERN.test(move)) {
+    return null;
+  }
+  return (move.match(AXIS_WORD_PATTERN) || []).map(word => ({
+    axis: word[0].toUpperCase(),
+    value: Number(word.slice(1).trim())
+  }));
+}
 
-  return `
-    ${loadSequence}
-    ${sensorCheckNotTriggered}
-      ${manualFallback}
-    o300 ELSE
-      G53 G0 Z${settings.zone2}
-      G4 P0.2
-      ${sensorCheckTriggered}
-        ${manualFallback}
-      ${sensorCheckClose301}
-    ${sensorCheckClose300}
-    M61 Q${tool}
-  `.trim();
+// Named spots a move can be headed for, to say which one is off: each slot
+// with the Z heights used over it, the tool setter, the manual tool
+// position and safe Z. `field` is the setting each comes from.
+function getTravelTargets(settings) {
+  const targets = [];
+  for (let slot = 1; slot <= settings.pockets; slot++) {
+    const pos = calculateSlotPosition(settings, slot);
+    const magazine = settings.magazines.indexOf(resolveSlot(settings, slot).magazine);
+    targets.push({
+      label: `Slot ${slot}`,
+      field: `magazines[${magazine}].origin`,
+      X: [pos.x],
+      Y: [pos.y],
+      Z: [pos.z, pos.z + settings.zSpinOff, pos.z + settings.zRetreat, pos.zone1, pos.zone2]
+    });
+  }
+  targets.push({ label: 'Tool setter', field: 'toolSetter', X: [settings.toolSetter.x], Y: [settings.toolSetter.y], Z: [] });
+  targets.push({ label: 'Manual tool position', field: 'manualTool', X: [settings.manualTool.x], Y: [settings.manualTool.y], Z: [] });
+  targets.push({ label: 'Safe Z', field: 'zSafe', X: [], Y: [], Z: [settings.zSafe] });
+  APPROACH_KINDS.forEach(kind => {
+    (settings.approachWaypoints?.[kind] || []).forEach((point, index) => {
+      targets.push({
+        label: `${APPROACH_LABELS[kind]} waypoint ${index + 1}`,
+        field: `approachWaypoints.${kind}[${index}]`,
+        X: [point.x],
+        Y: [point.y],
+        Z: []
+      });
+    });
+  });
+  return targets;
 }
 
-function buildUnloadTool(settings, currentTool, sourcePos) {
-  if (currentTool === 0) {
-    return '';
+// Reads the `G53` moves of a generated program, event blocks included, and
+// names each coordinate outside the envelope. A Z is put down to the spot
+// the last XY move went to when it is one of that spot's heights. Probe
+// moves are relative and stop on contact, so they aren't checked.
+function findTravelViolations(settings, envelope, programLines) {
+  if (!envelope) {
+    return [];
   }
+  const targets = getTravelTargets(settings);
+  const matches = (target, axis, value) => target[axis].some(known => Math.abs(known - value) < TRAVEL_TOLERANCE);
+  const violations = [];
+  let current = null;
+
+  programLines.forEach((line) => {
+    const words = readG53Move(line);
+    if (!words) {
+      return;
+    }
+    const xy = words.filter(({ axis }) => axis !== 'Z');
+    if (xy.length > 0) {
+      current = targets.find(target => xy.every(({ axis, value }) => matches(target, axis, value))) ?? null;
+    }
+    words.forEach(({ axis, value }) => {
+      const range = envelope[axis];
+      if (!range || (value >= range.min - TRAVEL_TOLERANCE && value <= range.max + TRAVEL_TOLERANCE)) {
+        return;
+      }
+      const target = axis === 'Z' && current && matches(current, axis, value)
+        ? current
+        : axis === 'Z' ? targets.find(known => matches(known, axis, value)) : current;
+      const detail = `${target ? target.label : 'A move'}: ${axis}${value} is outside the ${axis} travel ${range.min} to ${range.max}`;
+      if (!violations.includes(detail)) {
+        violations.push(detail);
+      }
+    });
+  });
+  return violations;
+}
 
-  if (currentTool === PROBE_TOOL_NUMBER) {
-    const probeUnloadGcode = settings.probeUnloadGcode?.trim() || '';
-    if (probeUnloadGcode) {
-      return `
-        (Unload Probe Tool T${PROBE_TOOL_NUMBER})
-        G53 G0 Z${settings.zSafe}
-        ${probeUnloadGcode}
-        M61 Q0
-      `.trim();
+// === Approach Paths ===
+
+// Travel at safe Z is a straight line, and a clamp, the dust boot magnet or
+// the rack's own cover can stand in the way at that height. Each kind of
+// destination can have waypoints the spindle goes through first, in order:
+// the rack's for every slot, the tool setter's and the manual tool
+// position's. Each approach starts from the last XY the program itself went
+// to — a slot, the setter or the manual tool position — and every leg from
+// there, the first one included, goes around a keep-out zone it would cross
+// by the zone's corners. Only where a command starts, or after an event
+// block moves X or Y its own way, is the spindle's XY not known; there the
+// first waypoint is the way in.
+const APPROACH_LABELS = {
+  rack: 'Rack',
+  toolSetter: 'Tool setter',
+  manualTool: 'Manual tool'
+};
+const KEEP_OUT_EPSILON = 1e-6;
+
+// True when the segment from `a` to `b` passes through the inside of the
+// zone; running along an edge or touching a corner doesn't count. A
+// segment of no length tests whether the point lies inside.
+function crossesZone(a, b, zone) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const edges = [
+    [-dx, a.x - (zone.x1 + KEEP_OUT_EPSILON)],
+    [dx, zone.x2 - KEEP_OUT_EPSILON - a.x],
+    [-dy, a.y - (zone.y1 + KEEP_OUT_EPSILON)],
+    [dy, zone.y2 - KEEP_OUT_EPSILON - a.y]
+  ];
+  let enter = 0;
+  let exit = 1;
+  for (const [direction, distance] of edges) {
+    if (direction === 0) {
+      if (distance < 0) return false;
+      continue;
+    }
+    const t = distance / direction;
+    if (direction < 0) {
+      enter = Math.max(enter, t);
     } else {
-      return `
-        G53 G0 Z${settings.zSafe}
-        ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:MANUAL_UNLOAD_PROBE_${PROBE_TOOL_NUMBER}`)}
-        M61 Q0
-      `.trim();
+      exit = Math.min(exit, t);
     }
+    if (enter > exit) return false;
   }
+  return true;
+}
 
-  if (currentTool > settings.pockets) {
-    return `
-      G53 G0 Z${settings.zSafe}
-      ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:MANUAL_UNLOAD_TOOL_${currentTool}`)}
-      M61 Q0
-    `.trim();
-  } else if (settings.model === 'Basic') {
-    return `
-      G53 G0 Z${settings.zSafe}
-      G53 G0 X${sourcePos.x} Y${sourcePos.y}
-      ${createToolUnload(settings)}
-      M61 Q0
-    `.trim();
-  } else {
-    const sensorCheckTriggered100 = getSensorCheckCondition(settings.toolSensor, 1, 100);
-    const sensorCheckTriggered101 = getSensorCheckCondition(settings.toolSensor, 1, 101);
-    const sensorCheckClose100 = getSensorCheckClose(100);
-    const sensorCheckClose101 = getSensorCheckClose(101);
-
-    return `
-      G53 G0 Z${settings.zSafe}
-      G53 G0 X${sourcePos.x} Y${sourcePos.y}
-      ${createToolUnload(settings)}
-      ${sensorCheckTriggered100}
-        ${createToolUnload(settings)}
-        ${sensorCheckTriggered101}
-          ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:FAILED_UNLOAD_TOOL_${currentTool}`)}
-        ${sensorCheckClose101}
-      ${sensorCheckClose100}
-      M61 Q0
-    `.trim();
+// The points to travel through from `a` to reach `b`: just `b` when the
+// way is clear, otherwise the shortest way round the first zone in the way
+// through one corner or two neighbouring ones, with no leg crossing any
+// zone. With no such way the straight leg is kept, and the check below
+// refuses the program.
+function routeAroundZones(a, b, zones) {
+  const blocking = zones.find(zone => crossesZone(a, b, zone));
+  if (!blocking) {
+    return [b];
   }
+  const corners = [
+    { x: blocking.x1, y: blocking.y1 },
+    { x: blocking.x2, y: blocking.y1 },
+    { x: blocking.x2, y: blocking.y2 },
+    { x: blocking.x1, y: blocking.y2 }
+  ];
+  const candidates = [];
+  corners.forEach((corner, index) => {
+    candidates.push([corner, b]);
+    candidates.push([corner, corners[(index + 1) % 4], b]);
+    candidates.push([corner, corners[(index + 3) % 4], b]);
+  });
+  const length = path => path.reduce((total, point, index) => {
+    const from = index === 0 ? a : path[index - 1];
+    return total + Math.hypot(point.x - from.x, point.y - from.y);
+  }, 0);
+  const clear = path => path.every((point, index) => {
+    const from = index === 0 ? a : path[index - 1];
+    return !zones.some(zone => crossesZone(from, point, zone));
+  });
+  const best = candidates.filter(clear).sort((first, second) => length(first) - length(second))[0];
+  return best ?? [b];
 }
 
-function buildLoadTool(settings, toolNumber, targetPos, tlsRoutine) {
-  if (toolNumber === 0) {
-    return '';
+// `G53 G0` moves through the waypoints for `kind` to `target`, at whatever
+// height the spindle is already at (safe Z, everywhere this is used).
+// `from` is the XY the spindle is at, null when it isn't known.
+function createApproachMoves(settings, kind, target, from = null) {
+  const zones = settings.keepOutZones || [];
+  const points = [...(settings.approachWaypoints?.[kind] || []), target];
+  const path = from ? [] : [points.shift()];
+  points.forEach((point) => {
+    path.push(...routeAroundZones(path.length > 0 ? path[path.length - 1] : from, point, zones));
+  });
+  return path.map(point => `G53 G0 X${point.x} Y${point.y}`).join('\n');
+}
+
+const XY_WORD_PATTERN = /(?:^|[^A-Z])[XY]\s*[-+.\d[#]/i;
+const XY_EXPRESSION_PATTERN = /(?:^|[^A-Z])[XY]\s*[[#]/i;
+const RETURN_MOVE_PATTERN = /(?:^|[^A-Z0-9])G0*(?:28|30)(?![0-9.])/i;
+
+// True for a line that moves X or Y somewhere it doesn't spell out: a move
+// in work or relative coordinates, one given by an expression, or a G28/G30
+// return. Setting an offset (G10, G92) moves nothing.
+function movesToUnknownXY(line) {
+  const text = stripGcodeComments(line).replace(/#<[^>]*>/g, '#').trim();
+  if (text.startsWith('$') || /^O\d/i.test(text)) {
+    return false;
+  }
+  if (RETURN_MOVE_PATTERN.test(text)) {
+    return true;
   }
+  const codes = (text.match(/G\s*\d+\.?\d*/gi) || []).map(word => Number(word.slice(1).trim()));
+  return !codes.some(code => OFFSET_CODES.includes(code)) && XY_WORD_PATTERN.test(text);
+}
 
-  if (toolNumber === PROBE_TOOL_NUMBER) {
-    const probeLoadGcode = settings.probeLoadGcode?.trim() || '';
-    if (probeLoadGcode) {
-      return `
-        (Load Probe Tool T${PROBE_TOOL_NUMBER})
-        G53 G0 Z${settings.zSafe}
-        M61 Q${PROBE_TOOL_NUMBER}
-        ${probeLoadGcode}
-        ${tlsRoutine}
-      `.trim();
-    } else {
+const samePoint = (a, b) => a !== null && b !== null
+  && Math.abs(a.x - b.x) < TRAVEL_TOLERANCE && Math.abs(a.y - b.y) < TRAVEL_TOLERANCE;
+
+// Follows the spindle's XY through program lines from `from` (null when it
+// isn't known) and returns where they leave it. A literal G53 XY move goes
+// to its end point and is passed to `onMove(previous, point)`; Z moves,
+// probing and anything else that leaves X and Y alone keep the point; any
+// other XY move makes it unknown. An IF block may not run, so after its
+// ENDIF the point is only known when the block ends where it started.
+function traceXY(programLines, from, onMove = () => {}) {
+  const blockStarts = [];
+  let current = from;
+  programLines.forEach((line) => {
+    const text = stripGcodeComments(line).trim().toUpperCase();
+    if (CONDITION_PATTERN.test(text)) {
+      blockStarts.push(current);
+      return;
+    }
+    if (BLOCK_END_PATTERN.test(text)) {
+      const start = blockStarts.pop() ?? null;
+      current = samePoint(start, current) ? current : null;
+      return;
+    }
+    const words = readG53Move(line)?.filter(({ axis }) => axis !== 'Z');
+    if (!words || (words.length === 0 && !XY_EXPRESSION_PATTERN.test(text))) {
+      if (movesToUnknownXY(line)) {
+        current = null;
+      }
+      return;
+    }
+    const x = words.find(({ axis }) => axis === 'X')?.value ?? current?.x;
+    const y = words.find(({ axis }) => axis === 'Y')?.value ?? current?.y;
+    const point = XY_EXPRESSION_PATTERN.test(text) || x === undefined || y === undefined ? null : { x, y };
+    if (point) {
+      onMove(current, point);
+    }
+    current = point;
+  });
+  return current;
+}
+
+// Where a block of generated g-code leaves the spindle's XY.
+function getEndXY(gcode, from) {
+  return traceXY(gcode.split('\n'), from);
+}
+
+// Follows a program the way traceXY does, so every leg between two known
+// points is checked, Z moves and probing between them or not; a move from
+// somewhere unknown only has its end point checked. Names the spot each bad
+// move was going to.
+function findKeepOutViolations(settings, programLines) {
+  const zones = settings.keepOutZones || [];
+  if (zones.length === 0) {
+    return [];
+  }
+  const targets = getTravelTargets(settings);
+  const violations = [];
+
+  traceXY(programLines, null, (previous, point) => {
+    const target = targets.find(known => known.X.some(value => Math.abs(value - point.x) < TRAVEL_TOLERANCE)
+      && known.Y.some(value => Math.abs(value - point.y) < TRAVEL_TOLERANCE));
+    const label = target ? target.label : `X${point.x} Y${point.y}`;
+    zones.forEach((zone) => {
+      const detail = crossesZone(point, point, zone)
+        ? `${label} is inside keep-out zone ${zone.name}`
+        : previous && crossesZone(previous, point, zone)
+          ? `The way to ${label} crosses keep-out zone ${zone.name}`
+          : null;
+      if (detail && !violations.includes(detail)) {
+        violations.push(detail);
+      }
+    });
+  });
+  return violations;
+}
+
+// Sent instead of a program with a move outside the travel or through a
+// keep-out zone: the controller would stop at the first one with soft
+// limits on, part-way through a change, and drive into the hard stop or
+// the clamp without them. Null when every move is fine.
+function createMoveRefusal(settings, context, programLines, toolNumber) {
+  const envelope = getTravelEnvelope(getControllerSettings(context, settings));
+  const outOfTravel = findTravelViolations(settings, envelope, programLines);
+  if (outOfTravel.length > 0) {
+    return createRefusal('moves outside the machine travel', outOfTravel, 'OUT_OF_TRAVEL', toolNumber);
+  }
+  const keepOut = findKeepOutViolations(settings, programLines);
+  if (keepOut.length > 0) {
+    return createRefusal('moves through a keep-out zone', keepOut, 'KEEP_OUT', toolNumber);
+  }
+  return null;
+}
+
+// === Event G-code Placeholders ===
+//
+// The event blocks are filled in for the change at hand when a program is
+// built, so the same block can react to the tool involved. `{slot}`,
+// `{slotX}` and `{slotY}` are the new tool's rack slot and its position, or
+// 0 and the Manual Tool position for a tool changed by hand. config.html
+// offers these names, with what each holds, as completions.
+const EVENT_PLACEHOLDERS = {
+  tool: 'Tool being loaded (the tool in use for $TLS and $H)',
+  previousTool: 'Tool in the spindle before the change',
+  slot: 'Rack slot of {tool}, 0 for a manual change',
+  slotX: 'Machine X of {slot}, or the Manual Tool X',
+  slotY: 'Machine Y of {slot}, or the Manual Tool Y',
+  toolSetterX: 'Tool setter machine X',
+  toolSetterY: 'Tool setter machine Y',
+  model: 'Basic, Pro or Premium'
+};
+const EVENT_GCODE_FIELDS = {
+  preToolChangeGcode: 'Pre Tool Change',
+  postToolChangeGcode: 'Post Tool Change',
+  preTlsGcode: 'Pre TLS',
+  postTlsGcode: 'Post TLS',
+  abortEventTemplate: 'Abort Event'
+};
+
+const isKnownPlaceholder = (name) => Object.keys(EVENT_PLACEHOLDERS).includes(name);
+
+function getPlaceholderValues(settings, previousTool, toolNumber) {
+  const slot = usesRack(settings, toolNumber) ? getToolSlot(settings, toolNumber) : null;
+  const position = slot !== null ? calculateSlotPosition(settings, slot) : settings.manualTool;
+  return {
+    tool: toolNumber,
+    previousTool,
+    slot: slot ?? 0,
+    slotX: position.x,
+    slotY: position.y,
+    toolSetterX: settings.toolSetter.x,
+    toolSetterY: settings.toolSetter.y,
+    model: settings.model
+  };
+}
+
+function expandPlaceholders(text, values) {
+  if (!text) return '';
+  return String(text).replace(PLACEHOLDER_PATTERN, (match, name) =>
+    (isKnownPlaceholder(name) ? String(values[name]) : match));
+}
+
+const TOOL_HOOK_FIELDS = {
+  preLoadGcode: 'Pre-Load',
+  postLoadGcode: 'Post-Load',
+  preUnloadGcode: 'Pre-Unload'
+};
+
+// Every `{name}` in the event blocks and the per-tool blocks that isn't a
+// known placeholder, as `{ field, path, name }` with the block's title in
+// the Events or Tools view and its path in the built settings.
+function findUnknownPlaceholders(settings) {
+  const blocks = Object.keys(EVENT_GCODE_FIELDS)
+    .map(key => ({ field: EVENT_GCODE_FIELDS[key], path: key, gcode: settings[key] }));
+  Object.keys(settings.toolHooks || {}).forEach(tool => {
+    Object.keys(TOOL_HOOK_FIELDS).forEach(hook => {
+      blocks.push({
+        field: `T${tool} ${TOOL_HOOK_FIELDS[hook]}`,
+        path: `toolHooks.${tool}.${hook}`,
+        gcode: settings.toolHooks[tool][hook]
+      });
+    });
+  });
+
+  const unknown = [];
+  blocks.forEach(({ field, path, gcode }) => {
+    for (const match of String(gcode || '').matchAll(PLACEHOLDER_PATTERN)) {
+      if (!isKnownPlaceholder(match[1])) {
+        unknown.push({ field, path, name: match[1] });
+      }
+    }
+  });
+  return unknown;
+}
+
+// A line for the operator to read in the console: a comment the controller
+// ignores, sent visibly even with Show Macro Command off (see
+// toExpandedCommands). Parentheses can't go inside a comment, so any in the
+// text become brackets.
+const NOTICE_PREFIX = '(RapidChangeATC: ';
+
+function createNotice(text) {
+  return `${NOTICE_PREFIX}${String(text).replace(/\(/g, '[').replace(/\)/g, ']')})`;
+}
+
+// Sent instead of a tool change that can't be run as configured. The
+// notices say why in the console; the dialog stops the job before it
+// carries on with the wrong tool.
+function createRefusal(reason, details, messageCode, toolNumber) {
+  const gcode = `
+    ${createNotice(`${reason}, nothing was run`)}
+    ${details.map(createNotice).join('\n')}
+    G4 P0
+    (MSG, PLUGIN_RAPIDCHANGEATC:${messageCode}_${toolNumber})
+    M0
+  `.trim();
+
+  return formatGCode(gcode);
+}
+
+// An event or tool block with a placeholder nothing can fill — the
+// controller would reject the line mid-change.
+function createPlaceholderRefusal(unknown, toolNumber) {
+  return createRefusal(
+    'unknown placeholders in the plugin g-code',
+    unknown.map(({ field, name }) => `${field}: {${name}}`),
+    'UNKNOWN_PLACEHOLDER',
+    toolNumber
+  );
+}
+
+// === Rack Occupancy ===
+//
+// Nothing here is kept between calls. The Rack view saves which slots were
+// full along with the tool that was in the spindle at the time; the state
+// now follows from that and the tool the host reports in the spindle,
+// which only moves on when a change has run its M61. However many rack
+// changes happened in between, the tool saved with the table went back
+// into its slot and the tool now in the spindle came out of its own. An
+// aborted change leaves the host's tool, and so the rack, as they were.
+function getRackOccupancy(settings, currentTool) {
+  const occupancy = { ...settings.rackOccupancy };
+  const savedTool = settings.rackOccupancyTool;
+  if (savedTool === currentTool) {
+    return occupancy;
+  }
+  if (savedTool !== null && usesRack(settings, savedTool)) {
+    occupancy[getToolSlot(settings, savedTool)] = true;
+  }
+  if (usesRack(settings, currentTool)) {
+    occupancy[getToolSlot(settings, currentTool)] = false;
+  }
+  return occupancy;
+}
+
+// Stop before anything moves when the rack disagrees with the change: the
+// slot the current tool goes back into already holds something, or the
+// requested tool's slot is empty. Continue means the operator has put that
+// right and the change goes ahead; Abort cancels it.
+function createRackOccupancyCheck(settings, occupancy, currentTool, toolNumber) {
+  const checks = [];
+  if (usesRack(settings, currentTool) && occupancy[getToolSlot(settings, currentTool)]) {
+    checks.push(`PLUGIN_RAPIDCHANGEATC:SLOT_OCCUPIED_${currentTool}`);
+  }
+  if (usesRack(settings, toolNumber) && toolNumber !== currentTool
+      && !occupancy[getToolSlot(settings, toolNumber)]) {
+    checks.push(`PLUGIN_RAPIDCHANGEATC:RACK_SLOT_EMPTY_${toolNumber}`);
+  }
+  return checks.map(messageCode => `
+    G4 P0
+    (MSG, ${messageCode})
+    M0
+  `.trim()).join('\n');
+}
+
+// === Recovery ===
+//
+// An abort at an operator dialog or a reset mid-change can leave the
+// spindle holding something other than the tool ncSender shows, depending
+// on whether the M61 after the unload or load ran. The phase parameter says
+// how far the change got, so the next one can refuse to trust the tool
+// state until `$ATC RECOVER` has put it right.
+
+// Stop before a tool change while the last one is still unfinished.
+// Continue means the operator has checked the spindle and the rack and the
+// change goes ahead from the tool ncSender shows; Abort cancels it.
+function createPhaseGuard(toolNumber) {
+  return `
+    o500 IF [#${PHASE_PARAM} NE 0]
+      G4 P0
+      (MSG, PLUGIN_RAPIDCHANGEATC:RECOVERY_NEEDED_${toolNumber})
+      M0
+      #${PHASE_PARAM} = 0
+    o500 ENDIF
+  `.trim();
+}
+
+// Recovery always ends with an empty spindle and both tools of the
+// interrupted change back where they belong: the operator takes out
+// whatever is in the spindle and puts every tool where the console lists
+// it. That list is the rack as the plugin will count it once the spindle
+// is marked empty, so what the operator checks is what the next M6 goes by.
+// Phase 1 is still unloading the tool ncSender shows; in phase 2 that tool
+// is already out and ncSender shows none. With the phase at 0 there is
+// nothing recorded to recover — also after a power cycle, which clears it —
+// and the operator is told so.
+function createRecoveryProgram(settings, currentTool) {
+  const occupancy = getRackOccupancy(settings, 0);
+  const toolInSlot = {};
+  Object.keys(settings.toolSlots).forEach(tool => {
+    toolInSlot[settings.toolSlots[tool]] = tool;
+  });
+  const rackList = Object.keys(occupancy).map(slot => {
+    const content = toolInSlot[slot] ? `T${toolInSlot[slot]}` : 'a tool';
+    return createNotice(`slot ${slot}: ${occupancy[slot] ? content : 'empty'}`);
+  });
+
+  const gcode = `
+    (Start of RapidChangeATC Recovery)
+    ${createNotice('if a tool change is unfinished, recovery leaves the spindle empty and the rack as listed')}
+    ${rackList.join('\n')}
+    #<_rcatc_phase> = #${PHASE_PARAM}
+    o510 IF [#<_rcatc_phase> EQ 0]
+      G4 P0
+      (MSG, PLUGIN_RAPIDCHANGEATC:RECOVERY_NOT_NEEDED_${currentTool})
+      M0
+    o510 ENDIF
+    o511 IF [#<_rcatc_phase> NE 0]
+      #<return_units> = [20 + #<_metric>]
+      G21
+      M5
+      ${createCoverClose(settings)}
+      o512 IF [#<_rcatc_phase> EQ 1]
+        ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:RECOVER_UNLOAD_${currentTool}`)}
+      o512 ENDIF
+      o513 IF [#<_rcatc_phase> EQ 2]
+        ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:RECOVER_LOAD_${currentTool}`)}
+      o513 ENDIF
+      M61 Q0
+      #${PHASE_PARAM} = 0
+      G[#<return_units>]
+    o511 ENDIF
+    (End of RapidChangeATC Recovery)
+  `.trim();
+
+  return formatGCode(gcode);
+}
+
+// === Dry Run ===
+//
+// A dry run walks the tool change a real M6 would make, for commissioning a
+// rack: every move is there, but nothing goes lower than the clearance
+// above a slot's engagement height, the spindle never starts, each sensor
+// check becomes a stop where the operator looks instead, and no tool,
+// phase or length is recorded. The spindle stays at safe Z over the tool
+// setter, and a phase left by an earlier change doesn't stop it — it
+// changes nothing there is to recover.
+
+// Lines a dry run drops: spindle starts, the at-speed wait that would hang
+// without one, and the tool number changes.
+const DRY_RUN_DROPPED_PATTERN = /^(?:M0*[34]|M61|G65\s*P6)(?![0-9.])/i;
+const RAPID_PATTERN = /(^|[^A-Z0-9.])G0*0(?![0-9.])/i;
+const FEED_WORD_PATTERN = /F\s*(\d*\.?\d+)/gi;
+
+// How low a move in the rack may go to `z`: all the way normally, the
+// clearance above the slot's engagement height in a dry run.
+function getRackZ(settings, slot, z) {
+  return settings.dryRun ? Math.max(z, slot.z + settings.dryRunClearance) : z;
+}
+
+function createDryRunConfirmation(messageKey, toolNumber) {
+  return `
+    G4 P0
+    (MSG, PLUGIN_RAPIDCHANGEATC:${messageKey}_${toolNumber})
+    M0
+  `.trim();
+}
+
+// Every feed is scaled down by the dry-run feed scale, and none is faster
+// than the dry-run feedrate; rapids become feed moves at that feedrate.
+// Comments, o-words and parameter lines pass as they are.
+function createDryRunProgram(settings, programLines) {
+  const feedrate = settings.dryRunFeedrate;
+  const scale = settings.dryRunFeedScale / 100;
+  return programLines
+    .filter(line => !DRY_RUN_DROPPED_PATTERN.test(line.trim()))
+    .map((line) => {
+      if (/^\s*[(O#$]/i.test(line)) {
+        return line;
+      }
+      const capped = line.replace(FEED_WORD_PATTERN, (word, value) => {
+        return `F${Math.min(Math.max(Math.round(Number(value) * scale), 1), feedrate)}`;
+      });
+      if (!RAPID_PATTERN.test(capped)) {
+        return capped;
+      }
+      const slowed = capped.replace(RAPID_PATTERN, '$1G1');
+      return /F/i.test(slowed) ? slowed : `${slowed} F${feedrate}`;
+    });
+}
+
+// === Tool Change Sub-Routines ===
+
+// `from` is where the spindle is, for the way to the manual tool position.
+// Inside a block that may not run, `returnTo` takes the spindle back to the
+// slot it came from, so what follows the block starts from one known spot.
+function createManualToolFallback(settings, messageCode, from = null, returnTo = null) {
+  // G4 P0 forces a planner sync, so the operator dialog only appears once the
+  // retract and park moves have actually finished — not while the machine is
+  // still travelling. Keeping the message adjacent to M0 means it cannot be
+  // dismissed before the controller has reached the hold.
+  // A dry run parks the same way but must not have the operator change
+  // anything, so it says so instead, for the same tool.
+  const message = settings.dryRun
+    ? messageCode.replace(/:[A-Z_]+_(\d+)$/, ':DRY_RUN_MANUAL_$1')
+    : messageCode;
+  return `
+    G53 G0 Z${settings.zSafe}
+    ${createApproachMoves(settings, 'manualTool', settings.manualTool, from)}
+    G4 P0
+    (MSG, ${message})
+    M0
+    ${returnTo ? createApproachMoves(settings, 'rack', returnTo, settings.manualTool) : ''}
+  `.trim();
+}
+
+// Premium racks sit under a dust cover. Both blocks start from safe Z so
+// the cover never moves while the spindle is down in the rack. Other models
+// have no cover, so the saved g-code is ignored for them.
+function createCoverOpen(settings) {
+  const coverOpenGcode = settings.coverOpenGcode?.trim() || '';
+  if (settings.model !== 'Premium' || !coverOpenGcode) {
+    return '';
+  }
+  return `G53 G0 Z${settings.zSafe}\n${coverOpenGcode}`;
+}
+
+function createCoverClose(settings) {
+  const coverCloseGcode = settings.coverCloseGcode?.trim() || '';
+  if (settings.model !== 'Premium' || !coverCloseGcode) {
+    return '';
+  }
+  return `G53 G0 Z${settings.zSafe}\n${coverCloseGcode}`;
+}
+
+// Abort is run by the host straight from `abortEventGcode`, outside any
+// program built here, and can land while the spindle is down in an open
+// rack. The block the host gets is built with the rest of the settings: the
+// cover close, then the Abort Event template, which itself is left as the
+// operator wrote it. It climbs to machine Z0 — the safe Z the host hands
+// over with each batch isn't known yet.
+//
+// Which change is being aborted is only known on the controller, so the
+// placeholders for it become the parameters each change records, read when
+// the abort runs: `{tool}` is `[#4602]`. The controller works those out in
+// a g-code word, not inside a comment. An unknown placeholder is left as
+// written, like every block does; the validation reports it and no tool
+// change runs until it is fixed, so there is no change for it to abort.
+function createAbortEventGcode(settings) {
+  const values = {
+    ...getPlaceholderValues(settings, 0, 0),
+    tool: `[#${TO_TOOL_PARAM}]`,
+    previousTool: `[#${FROM_TOOL_PARAM}]`,
+    slot: `[#${SLOT_PARAM}]`,
+    slotX: `[#${SLOT_X_PARAM}]`,
+    slotY: `[#${SLOT_Y_PARAM}]`
+  };
+  const abortEventGcode = String(settings.abortEventTemplate || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => expandPlaceholders(line, values));
+  return [createCoverClose({ ...settings, zSafe: 0 }), ...abortEventGcode].filter(Boolean).join('\n');
+}
+
+// True when changing `toolNumber` in or out goes down into the rack, as
+// opposed to a manual change or the probe's own g-code. The probe goes
+// through the rack like any tool once it has a slot. The rack spins the nut
+// on and off, so a tool that must never spin is always changed by hand,
+// slot or not.
+function usesRack(settings, toolNumber) {
+  return toolNumber !== 0
+    && getToolSlot(settings, toolNumber) !== null
+    && !settings.toolHooks?.[toolNumber]?.noSpindle;
+}
+
+// One of a tool's own g-code blocks (`preLoadGcode`, `postLoadGcode`,
+// `preUnloadGcode`), filled in like the event blocks.
+function getToolHook(settings, toolNumber, hook, placeholders) {
+  return expandPlaceholders(settings.toolHooks?.[toolNumber]?.[hook]?.trim(), placeholders);
+}
+
+// Plunges and RPM for an attempt at the rack. Attempt 0 is the normal one;
+// every retry adds the extra plunges, and the RPM bump once per retry so
+// far, to give a stubborn nut a little more each time. The bumped RPM is
+// held to the same 500-2000 range as the load and unload RPM.
+function getAttemptParams(settings, plunges, rpm, attempt) {
+  if (attempt === 0) {
+    return { plunges, rpm };
+  }
+  return {
+    plunges: plunges + settings.retryExtraPlunges,
+    rpm: clampRpm(rpm + settings.retryRpmBump * attempt)
+  };
+}
+
+function createToolUnload(settings, slot, attempt = 0) {
+  const zone1 = slot.zone1;
+  const g65p6Before = settings.spindleAtSpeed ? '' : 'G65P6';
+  const g65p6After = settings.spindleAtSpeed ? '' : 'G65P6';
+  const { plunges, rpm } = getAttemptParams(settings, settings.unloadPlunges, settings.unloadRpm, attempt);
+  return `
+    G53 G0 Z${getRackZ(settings, slot, slot.z + settings.zSpinOff)}
+    ${g65p6Before}
+    M4 S${rpm}
+    ${Array.from({ length: plunges }, () =>
+      `G53 G1 Z${getRackZ(settings, slot, slot.z)} F${settings.engageFeedrate}\n    G53 G1 Z${getRackZ(settings, slot, slot.z + settings.zRetreat)} F${settings.engageFeedrate}`
+    ).join('\n    ')}
+    ${g65p6After}
+    M5
+    G53 G0 Z${getRackZ(settings, slot, zone1)}
+    G4 P0.2
+  `.trim();
+}
+
+function createLoadSequence(settings, slot, attempt = 0) {
+  const g65p6Before = settings.spindleAtSpeed ? '' : 'G65P6';
+  const g65p6After = settings.spindleAtSpeed ? '' : 'G65P6';
+  const { plunges, rpm } = getAttemptParams(settings, settings.loadPlunges, settings.loadRpm, attempt);
+
+  return `
+    G53 G0 Z${getRackZ(settings, slot, slot.z + settings.zSpinOff)}
+    ${g65p6Before}
+    M3 S${rpm}
+    ${Array.from({ length: plunges }, () =>
+      `G53 G1 Z${getRackZ(settings, slot, slot.z)} F${settings.engageFeedrate}\n    G53 G1 Z${getRackZ(settings, slot, slot.z + settings.zRetreat)} F${settings.engageFeedrate}`
+    ).join('\n    ')}
+    ${g65p6After}
+    M5
+    G53 G0 Z${getRackZ(settings, slot, slot.zone1)}
+    G4 P0.2
+  `.trim();
+}
+
+// Sensor-checked rack work with retries. Streamed grblHAL has no loops, so
+// every attempt is written out: the first runs unconditionally, each retry
+// only while #<_rcatc_ok> is still 0, and the operator dialog only once the
+// last one has failed too. `attemptCheck(attempt, oNumber)` runs one attempt
+// and sets the flag on success; each attempt gets its own block of ten
+// o-numbers from `oBase` so nothing nests inside a block of the same number.
+function createRetriedRackStep(retries, oBase, attemptCheck, manualFallback) {
+  const retryBlocks = Array.from({ length: retries }, (_, index) => {
+    const attempt = index + 1;
+    const oRetry = oBase + attempt * 10 + 9;
+    return `
+      o${oRetry} IF [#<_rcatc_ok> EQ 0]
+        ${attemptCheck(attempt, oBase + attempt * 10)}
+      o${oRetry} ENDIF
+    `.trim();
+  }).join('\n');
+
+  return `
+    #<_rcatc_ok> = 0
+    ${attemptCheck(0, oBase)}
+    ${retryBlocks}
+    o${oBase + 9} IF [#<_rcatc_ok> EQ 0]
+      ${manualFallback}
+    o${oBase + 9} ENDIF
+  `.trim();
+}
+
+function createToolLoad(settings, tool, slot) {
+  if (settings.model === 'Basic') {
+    return `
+      ${createLoadSequence(settings, slot)}
+      M61 Q${tool}
+    `.trim();
+  }
+
+  if (settings.dryRun) {
+    return `
+      ${createLoadSequence(settings, slot)}
+      ${createDryRunConfirmation('DRY_RUN_SENSOR', tool)}
+      G53 G0 Z${getRackZ(settings, slot, slot.zone2)}
+      ${createDryRunConfirmation('DRY_RUN_SENSOR', tool)}
+      M61 Q${tool}
+    `.trim();
+  }
+
+  // Loaded means the nut blocks the beam at Zone 1 and clears it at Zone 2.
+  const attemptLoad = (attempt, oNumber) => `
+    ${createLoadSequence(settings, slot, attempt)}
+    ${getSensorCheckCondition(settings.toolSensor, 1, oNumber)}
+      G53 G0 Z${slot.zone2}
+      G4 P0.2
+      ${getSensorCheckCondition(settings.toolSensor, 0, oNumber + 1)}
+        #<_rcatc_ok> = 1
+      ${getSensorCheckClose(oNumber + 1)}
+    ${getSensorCheckClose(oNumber)}
+  `.trim();
+
+  const manualFallback = createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:FAILED_LOAD_TOOL_${tool}`, slot, slot);
+
+  return `
+    ${createRetriedRackStep(settings.loadRetries, 300, attemptLoad, manualFallback)}
+    M61 Q${tool}
+  `.trim();
+}
+
+// A probe spun in from the rack may not have made contact: the pins in its
+// holder can miss, or the wire can be off. Before the job relies on it,
+// check that the probe input is open at rest and closes when the operator
+// deflects the tip. The operator clicks Continue first and then has both
+// hands for the tip: the input is read once a second for PROBE_CHECK_POLLS
+// seconds — the PROBE_CHECK message says how long — until it has closed
+// and opened again, so nothing moves while the tip is still held.
+// `#<_rcatc_ok>` counts the two steps. Either check failing stops with a
+// message; Continue goes on regardless, Abort cancels.
+const PROBE_CHECK_POLLS = 15;
+
+function createProbeContinuityCheck(settings, toolNumber, from) {
+  const failed = `
+    G4 P0
+    (MSG, PLUGIN_RAPIDCHANGEATC:PROBE_CHECK_FAILED_${toolNumber})
+    M0
+  `.trim();
+
+  // Streamed grblHAL has no loops, so every reading is written out.
+  const polls = Array.from({ length: PROBE_CHECK_POLLS }, (_, index) => `
+    o${482 + index} IF [#<_rcatc_ok> LT 2]
+      G4 P1
+      #<_rcatc_ok> = [#<_rcatc_ok> + [#<_rcatc_ok> EQ 0] * #<_probe_state> + [#<_rcatc_ok> EQ 1] * [1 - #<_probe_state>]]
+    o${482 + index} ENDIF
+  `.trim()).join('\n');
+
+  return `
+    G53 G0 Z${settings.zSafe}
+    G4 P0
+    o480 IF [#<_probe_state> NE 0]
+      ${failed}
+    o480 ENDIF
+    ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:PROBE_CHECK_${toolNumber}`, from)}
+    #<_rcatc_ok> = 0
+    ${polls}
+    o481 IF [#<_rcatc_ok> NE 2]
+      ${failed}
+    o481 ENDIF
+    G4 P2
+  `.trim();
+}
+
+function buildUnloadTool(settings, currentTool, sourcePos, placeholders, from = null) {
+  if (currentTool === 0) {
+    return '';
+  }
+
+  const probeToolNumber = settings.probeToolNumber;
+  if (currentTool === probeToolNumber && !usesRack(settings, currentTool)) {
+    const probeUnloadGcode = settings.dryRun ? '' : settings.probeUnloadGcode?.trim() || '';
+    if (probeUnloadGcode) {
       return `
+        (Unload Probe Tool T${probeToolNumber})
         G53 G0 Z${settings.zSafe}
-        ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:MANUAL_LOAD_PROBE_${PROBE_TOOL_NUMBER}`)}
-        M61 Q${PROBE_TOOL_NUMBER}
-        ${tlsRoutine}
+        ${probeUnloadGcode}
+        M61 Q0
+      `.trim();
+    } else {
+      return `
+        G53 G0 Z${settings.zSafe}
+        ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:MANUAL_UNLOAD_PROBE_${probeToolNumber}`, from)}
+        M61 Q0
       `.trim();
     }
   }
 
-  if (toolNumber <= settings.pockets) {
+  const preUnload = getToolHook(settings, currentTool, 'preUnloadGcode', placeholders);
+  const afterHook = getEndXY(preUnload, from);
+
+  if (!usesRack(settings, currentTool)) {
     return `
       G53 G0 Z${settings.zSafe}
-      G53 G0 X${targetPos.x} Y${targetPos.y}
-      ${createToolLoad(settings, toolNumber)}
-      ${tlsRoutine}
+      ${preUnload}
+      ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:MANUAL_UNLOAD_TOOL_${currentTool}`, afterHook)}
+      M61 Q0
+    `.trim();
+  } else if (settings.model === 'Basic') {
+    return `
+      G53 G0 Z${settings.zSafe}
+      ${preUnload}
+      ${createApproachMoves(settings, 'rack', sourcePos, afterHook)}
+      ${createToolUnload(settings, sourcePos)}
+      M61 Q0
+    `.trim();
+  } else if (settings.dryRun) {
+    return `
+      G53 G0 Z${settings.zSafe}
+      ${preUnload}
+      ${createApproachMoves(settings, 'rack', sourcePos, afterHook)}
+      ${createToolUnload(settings, sourcePos)}
+      ${createDryRunConfirmation('DRY_RUN_SENSOR', currentTool)}
+      M61 Q0
     `.trim();
   } else {
+    // Unloaded means the beam is clear at Zone 1 — no nut left in the spindle.
+    const attemptUnload = (attempt, oNumber) => `
+      ${createToolUnload(settings, sourcePos, attempt)}
+      ${getSensorCheckCondition(settings.toolSensor, 0, oNumber)}
+        #<_rcatc_ok> = 1
+      ${getSensorCheckClose(oNumber)}
+    `.trim();
+
+    const manualFallback = createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:FAILED_UNLOAD_TOOL_${currentTool}`, sourcePos, sourcePos);
+
     return `
       G53 G0 Z${settings.zSafe}
-      ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:MANUAL_LOAD_TOOL_${toolNumber}`)}
+      ${preUnload}
+      ${createApproachMoves(settings, 'rack', sourcePos, afterHook)}
+      ${createRetriedRackStep(settings.unloadRetries, 100, attemptUnload, manualFallback)}
+      M61 Q0
+    `.trim();
+  }
+}
+
+function buildLoadTool(settings, toolNumber, targetPos, placeholders, from = null) {
+  if (toolNumber === 0) {
+    return '';
+  }
+
+  const probeToolNumber = settings.probeToolNumber;
+  if (toolNumber === probeToolNumber && !usesRack(settings, toolNumber)) {
+    const probeLoadGcode = settings.dryRun ? '' : settings.probeLoadGcode?.trim() || '';
+    if (probeLoadGcode) {
+      return `
+        (Load Probe Tool T${probeToolNumber})
+        G53 G0 Z${settings.zSafe}
+        M61 Q${probeToolNumber}
+        ${probeLoadGcode}
+      `.trim();
+    } else {
+      return `
+        G53 G0 Z${settings.zSafe}
+        ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:MANUAL_LOAD_PROBE_${probeToolNumber}`, from)}
+        M61 Q${probeToolNumber}
+      `.trim();
+    }
+  }
+
+  const preLoad = getToolHook(settings, toolNumber, 'preLoadGcode', placeholders);
+  const postLoad = getToolHook(settings, toolNumber, 'postLoadGcode', placeholders);
+  const afterHook = getEndXY(preLoad, from);
+
+  if (usesRack(settings, toolNumber)) {
+    return `
+      G53 G0 Z${settings.zSafe}
+      ${preLoad}
+      ${createApproachMoves(settings, 'rack', targetPos, afterHook)}
+      ${createToolLoad(settings, toolNumber, targetPos)}
+      ${toolNumber === probeToolNumber && !settings.dryRun ? createProbeContinuityCheck(settings, toolNumber, targetPos) : ''}
+      ${postLoad}
+    `.trim();
+  } else {
+    return `
+      G53 G0 Z${settings.zSafe}
+      ${preLoad}
+      ${createManualToolFallback(settings, `PLUGIN_RAPIDCHANGEATC:MANUAL_LOAD_TOOL_${toolNumber}`, afterHook)}
       M61 Q${toolNumber}
-      ${tlsRoutine}
+      ${postLoad}
     `.trim();
   }
 }
 
-function buildToolChangeProgram(settings, currentTool, toolNumber, toolOffsets = { x: 0, y: 0 }) {
-  const sourcePos = calculateSlotPosition(settings, currentTool);
-  const targetPos = calculateSlotPosition(settings, toolNumber);
-  const tlsRoutine = createToolLengthSetRoutine(settings, toolOffsets).join('\n');
+// The parameters recovery and the abort block read back: the tools the
+// change is between, and the new tool's slot and position.
+function createChangeRecord(currentTool, toolNumber, placeholders) {
+  return `
+    #${FROM_TOOL_PARAM} = ${currentTool}
+    #${TO_TOOL_PARAM} = ${toolNumber}
+    #${SLOT_PARAM} = ${placeholders.slot}
+    #${SLOT_X_PARAM} = ${placeholders.slotX}
+    #${SLOT_Y_PARAM} = ${placeholders.slotY}
+  `.trim();
+}
 
+function buildToolChangeProgram(settings, currentTool, toolNumber, toolOffsets = { x: 0, y: 0 }, rackCheck = '') {
+  const sourcePos = calculateSlotPosition(settings, getToolSlot(settings, currentTool) ?? 0);
+  const targetPos = calculateSlotPosition(settings, getToolSlot(settings, toolNumber) ?? 0);
+  const placeholders = getPlaceholderValues(settings, currentTool, toolNumber);
   const atcStartDelaySection = settings.atcStartDelay > 0 ? `G4 P${settings.atcStartDelay}` : '';
-  const unloadSection = buildUnloadTool(settings, currentTool, sourcePos);
-  const loadSection = buildLoadTool(settings, toolNumber, targetPos, tlsRoutine);
-
-  const preToolChangeCmd = settings.preToolChangeGcode?.trim() || '';
-  const postToolChangeCmd = settings.postToolChangeGcode?.trim() || '';
 
+  // The cover opens just before the first rack visit and closes as soon as
+  // the last one is done — before a manual load or the TLS, which happen
+  // outside the rack.
+  const unloadAtRack = usesRack(settings, currentTool);
+  const loadAtRack = usesRack(settings, toolNumber);
+  const coverOpen = createCoverOpen(settings);
+  const coverClose = createCoverClose(settings);
+  const beforeUnload = unloadAtRack ? coverOpen : '';
+  const afterUnload = unloadAtRack && !loadAtRack ? coverClose : '';
+  const beforeLoad = loadAtRack && !unloadAtRack ? coverOpen : '';
+  const afterLoad = loadAtRack ? coverClose : '';
+
+  // The job leaves the spindle somewhere unknown; from the unload on, each
+  // section starts from where the ones before it leave the spindle.
+  const unloadSection = buildUnloadTool(settings, currentTool, sourcePos, placeholders);
+  const loadFrom = getEndXY([unloadSection, afterUnload, beforeLoad].join('\n'), null);
+  const loadSection = buildLoadTool(settings, toolNumber, targetPos, placeholders, loadFrom);
+  const tlsFrom = getEndXY([loadSection, afterLoad].join('\n'), loadFrom);
+  const tlsRoutine = createToolLengthSetRoutine(settings, toolOffsets, toolNumber, 'library', currentTool, tlsFrom).join('\n');
+
+  const preToolChangeCmd = expandPlaceholders(settings.preToolChangeGcode?.trim(), placeholders);
+  const postToolChangeCmd = expandPlaceholders(settings.postToolChangeGcode?.trim(), placeholders);
+
+  // The phase goes to 1 before anything touches the spindle, to 2 once the
+  // old tool is out, and back to 0 once the new one is in — the TLS after
+  // that can fail without leaving the spindle in doubt. A dry run changes
+  // nothing, so it leaves the phase alone and says so at the end instead.
+  const setPhase = (phase) => (settings.dryRun ? '' : `#${PHASE_PARAM} = ${phase}`);
   const gcode = `
     (Start of RapidChangeATC Plugin Sequence)
+    ${settings.dryRun ? '(Dry run - no spindle, no engagement, no tool change)' : ''}
+    ${settings.dryRun ? '' : createPhaseGuard(toolNumber)}
+    ${rackCheck}
     ${preToolChangeCmd}
     #<return_units> = [20 + #<_metric>]
     G21
     M5
     ${atcStartDelaySection}
+    ${settings.dryRun ? '' : createChangeRecord(currentTool, toolNumber, placeholders)}
+    ${setPhase(1)}
+    ${beforeUnload}
     ${unloadSection}
+    ${setPhase(2)}
+    ${afterUnload}
+    ${beforeLoad}
     ${loadSection}
+    ${setPhase(0)}
+    ${afterLoad}
+    ${toolNumber !== 0 ? createPolicyToolLengthSet(settings, toolNumber, tlsRoutine) : ''}
     G53 G0 Z${settings.zSafe}
     G4 P0
     G[#<return_units>]
     ${postToolChangeCmd}
+    ${settings.dryRun ? createDryRunConfirmation('DRY_RUN_DONE', toolNumber) : ''}
     (End of RapidChangeATC Plugin Sequence)
   `.trim();
 
   return formatGCode(gcode);
 }
 
-// === Command Handlers (synchronous, no host dependency) ===
+// === Time Estimation ===
+
+// Runs a generated program on paper. Rates come from the controller's `$`
+// settings like the travel does: max rate $110-$112 (mm/min) and
+// acceleration $120-$122 (mm/s²), with stand-ins for what it doesn't
+// report. Every move starts and ends at rest, which the macros' short
+// single moves mostly do anyway.
+const DEFAULT_MAX_RATE = 5000;
+const DEFAULT_ACCELERATION = 500;
+const SPINDLE_RAMP_SECONDS = 1;
+const CONDITION_PATTERN = /^O(\d+)\s+IF\s*(\[.*\])$/;
+const BLOCK_END_PATTERN = /^O(\d+)\s+ENDIF$/;
+const ASSIGNMENT_PATTERN = /^#(?:<(\w+)>|(\d+))\s*=\s*(.+)$/;
+const STOP_PATTERN = /(?:^|[^A-Z0-9.])M0*[01](?![0-9.])/;
+// Codes whose axis words set an offset rather than move.
+const OFFSET_CODES = [10, 43.1, 92];
+
+function getMachineRates(controllerSettings) {
+  const rates = { maxRate: {}, acceleration: {} };
+  TRAVEL_AXES.forEach((axis, index) => {
+    const maxRate = controllerSettings ? getControllerSetting(controllerSettings, 110 + index) : null;
+    const acceleration = controllerSettings ? getControllerSetting(controllerSettings, 120 + index) : null;
+    rates.maxRate[axis] = maxRate > 0 ? maxRate : DEFAULT_MAX_RATE;
+    rates.acceleration[axis] = acceleration > 0 ? acceleration : DEFAULT_ACCELERATION;
+  });
+  return rates;
+}
 
-function handleTLSCommand(commands, context, settings) {
-  const tlsIndex = commands.findIndex(cmd =>
-    cmd.isOriginal && cmd.command.trim().toUpperCase() === '$TLS'
-  );
+// Seconds for one straight move by `delta` at `feed` (mm/min, Infinity for
+// a rapid). Each axis caps the speed and acceleration by its share of the
+// move; a short move never reaches full speed.
+function getMoveSeconds(delta, feed, rates) {
+  const distance = Math.hypot(delta.X, delta.Y, delta.Z);
+  if (distance === 0) {
+    return 0;
+  }
+  let speed = feed / 60;
+  let acceleration = Infinity;
+  TRAVEL_AXES.forEach((axis) => {
+    const share = Math.abs(delta[axis]) / distance;
+    if (share > 0) {
+      speed = Math.min(speed, rates.maxRate[axis] / 60 / share);
+      acceleration = Math.min(acceleration, rates.acceleration[axis] / share);
+    }
+  });
+  const rampDistance = speed * speed / acceleration;
+  return distance >= rampDistance
+    ? distance / speed + speed / acceleration
+    : 2 * Math.sqrt(distance / acceleration);
+}
+
+// The value of an IF condition — brackets, EQ/NE/GT/GE/LT/LE, AND/OR over
+// parameters and numbers — or null when it reads a parameter the program
+// hasn't set to a number. Comparisons bind tighter than AND/OR.
+function evaluateCondition(condition, params) {
+  const tokens = condition.match(/#<\w+>|#\d+|-?\d*\.?\d+|\[|\]|[A-Z]+/g) || [];
+  let position = 0;
+  const compare = {
+    EQ: (a, b) => a === b,
+    NE: (a, b) => a !== b,
+    GT: (a, b) => a > b,
+    GE: (a, b) => a >= b,
+    LT: (a, b) => a < b,
+    LE: (a, b) => a <= b
+  };
+  const readValue = () => {
+    const token = tokens[position++];
+    if (token === '[') {
+      const value = readLogic();
+      position++;
+      return value;
+    }
+    if (token?.startsWith('#')) {
+      const value = params[token.replace(/^#<?|>$/g, '').toLowerCase()];
+      return typeof value === 'number' ? value : null;
+    }
+    const number = Number(token);
+    return Number.isFinite(number) ? number : null;
+  };
+  const readComparison = () => {
+    let value = readValue();
+    while (compare[tokens[position]]) {
+      const test = compare[tokens[position++]];
+      const other = readValue();
+      value = value === null || other === null ? null : (test(value, other) ? 1 : 0);
+    }
+    return value;
+  };
+  const readLogic = () => {
+    let value = readComparison();
+    while (tokens[position] === 'AND' || tokens[position] === 'OR') {
+      const and = tokens[position++] === 'AND';
+      const other = readComparison();
+      value = value === null || other === null ? null : (and ? (value && other) : (value || other)) ? 1 : 0;
+    }
+    return value;
+  };
+  return readLogic();
+}
 
-  if (tlsIndex === -1) {
-    return;
+// True when the block opened at `lines[start]` stops for the operator at
+// its own level — a failed check, a manual fallback or a guard.
+function blockStopsForOperator(lines, start, oNumber) {
+  let depth = 0;
+  for (let index = start + 1; index < lines.length; index++) {
+    const line = lines[index];
+    const end = line.match(BLOCK_END_PATTERN);
+    if (end && depth === 0 && Number(end[1]) === oNumber) {
+      return false;
+    }
+    if (CONDITION_PATTERN.test(line)) {
+      depth++;
+    } else if (end) {
+      depth--;
+    } else if (depth === 0 && STOP_PATTERN.test(line)) {
+      return true;
+    }
   }
+  return false;
+}
+
+// Seconds a program takes when nothing goes wrong, the operator stops it
+// makes (M0/M1, not counted in the time), and where it leaves the spindle.
+// IF blocks are followed when the program has set what they test; an
+// unknown one is taken to pass — a sensor reading what it should — unless
+// it stops for the operator, which only happens when something is wrong.
+// `params` seeds values the program reads but doesn't set. Probe moves
+// count their full distance, so a measurement comes out on the long side.
+function estimateProgramSeconds(programLines, rates, start = { X: 0, Y: 0, Z: 0 }, params = {}) {
+  const lines = programLines.map(line => stripGcodeComments(line).trim().toUpperCase()).filter(Boolean);
+  const known = { ...params };
+  const position = { ...start };
+  let absolute = true;
+  let motion = 'G0';
+  let feed = 0;
+  let spindleOn = false;
+  let seconds = 0;
+  let stops = 0;
+  let skipping = null;
+
+  lines.forEach((line, index) => {
+    if (skipping !== null) {
+      const end = line.match(BLOCK_END_PATTERN);
+      if (end && Number(end[1]) === skipping.oNumber && skipping.depth === 0) {
+        skipping = null;
+      } else if (CONDITION_PATTERN.test(line)) {
+        skipping.depth++;
+      } else if (end) {
+        skipping.depth--;
+      }
+      return;
+    }
+    const condition = line.match(CONDITION_PATTERN);
+    if (condition) {
+      const oNumber = Number(condition[1]);
+      const value = evaluateCondition(condition[2], known);
+      const enter = value === null ? !blockStopsForOperator(lines, index, oNumber) : value !== 0;
+      if (!enter) {
+        skipping = { oNumber, depth: 0 };
+      }
+      return;
+    }
+    if (line.startsWith('O') || line.startsWith('$')) {
+      return;
+    }
+    const assignment = line.match(ASSIGNMENT_PATTERN);
+    if (assignment) {
+      const number = Number(assignment[3]);
+      known[(assignment[1] ?? assignment[2]).toLowerCase()] = Number.isFinite(number) ? number : undefined;
+      return;
+    }
+    if (STOP_PATTERN.test(line)) {
+      stops++;
+    }
 
-  const currentTool = context.machineState?.tool ?? 0;
-  const toolOffsets = getToolOffsets(currentTool, context.tools);
+    const words = line.match(/[A-Z]-?\d*\.?\d+/g) || [];
+    const codes = words.map(word => ({ letter: word[0], value: Number(word.slice(1)) }));
+    const delta = { X: 0, Y: 0, Z: 0 };
+    let moved = false;
+    codes.forEach(({ letter, value }) => {
+      if (letter === 'G') {
+        if (value === 90) absolute = true;
+        if (value === 91) absolute = false;
+        if (value === 0 || value === 1 || (value >= 38 && value < 39)) motion = value === 0 ? 'G0' : 'G1';
+      } else if (letter === 'F') {
+        feed = value;
+      } else if (letter === 'M' && (value === 3 || value === 4)) {
+        seconds += SPINDLE_RAMP_SECONDS;
+        spindleOn = true;
+      } else if (letter === 'M' && value === 5 && spindleOn) {
+        seconds += SPINDLE_RAMP_SECONDS;
+        spindleOn = false;
+      } else if (TRAVEL_AXES.includes(letter) && !codes.some(code => code.letter === 'G' && OFFSET_CODES.includes(code.value))) {
+        delta[letter] = absolute ? value - position[letter] : value;
+        position[letter] += delta[letter];
+        moved = true;
+      }
+    });
+    const dwell = codes.find(({ letter }) => letter === 'P');
+    if (codes.some(({ letter, value }) => letter === 'G' && value === 4) && dwell) {
+      seconds += dwell.value;
+    } else if (moved) {
+      seconds += getMoveSeconds(delta, motion === 'G0' ? Infinity : feed, rates);
+    }
+  });
 
-  const tlsCommand = commands[tlsIndex];
-  const toolLengthSetProgram = createToolLengthSetProgram(settings, toolOffsets);
+  return { seconds, stops, end: position };
+}
+
+// === Job Preflight ===
+
+// How a change would handle `toolNumber`, the same way buildLoadTool and
+// buildUnloadTool decide: 'rack' through its slot, 'probe' by the probe's
+// own g-code (`gcodeField`), 'manual' by a dialog at the Manual Tool
+// position.
+function getChangeMethod(settings, toolNumber, gcodeField) {
+  if (usesRack(settings, toolNumber)) {
+    return 'rack';
+  }
+  if (toolNumber === settings.probeToolNumber && settings[gcodeField]?.trim()) {
+    return 'probe';
+  }
+  return 'manual';
+}
+
+// Reads a whole program (text or lines) the way onBeforeCommand reads it a
+// batch at a time, without sending anything, and says what the
+// job will ask of the rack:
+//
+// - `changes`: every tool change in order, with its line number, the tool
+//   it changes from and to, and how each is unloaded and loaded
+// - `tools`: each tool the job loads, in order of first use, with its slot
+//   (null without one), how it is loaded, whether it is the probe, whether
+//   the tool library (`options.tools`) has a length for it, and how many
+//   times it is loaded
+// - `manualLoads`: how many changes will stop for a manual load dialog
+// - `unselected`: lines with an M6 that has no tool selected, which the
+//   plugin passes to the controller untouched
+// - `measurements`: every `$TLS` in the program, with its line number and
+//   the tool it measures
+// - `overheadSeconds`: the estimated time of all changes and measurements
+//   together; each change and measurement carries its own `seconds`, and
+//   `stops` for the operator stops it makes, whose wait isn't counted
+//
+// `options.currentTool` is the tool in the spindle when the job starts.
+// The estimate takes its rates from `options.controllerSettings`, or else
+// the ones saved with the settings (see sanitizeControllerSettings), and has
+// each change start at `options.position` (machine zero without one) — the
+// job's own moves in between aren't followed. A tool whose TLS policy can
+// skip the measurement is measured at its first load in the job only.
+function analyzeProgram(program, settings, options = {}) {
+  const lines = Array.isArray(program) ? program : String(program ?? '').split(/\r?\n/);
+  const rates = getMachineRates(options.controllerSettings ?? settings.controllerSettings);
+  const start = { X: 0, Y: 0, Z: 0, ...options.position };
+  const changes = [];
+  const measurements = [];
+  const unselected = [];
+  const measuredInJob = new Set();
+  let currentTool = options.currentTool ?? 0;
+  let pendingTool = null;
+
+  const estimate = (programLines, params) => {
+    const { seconds, stops } = estimateProgramSeconds(programLines, rates, start, { [SESSION_PARAM]: 1, ...params });
+    return { seconds: Math.round(seconds), stops };
+  };
+
+  lines.forEach((line, index) => {
+    const selection = readToolSelection(line);
+    if (selection) {
+      pendingTool = selection.end ? null : selection.tool;
+    }
+    const checkMode = TLS_CHECK_MODES[stripGcodeComments(line).trim().toUpperCase().replace(/\s+/g, ' ')];
+    if (checkMode && (checkMode !== 'reference' || settings.tlsOffsetMode === 'reference')) {
+      const toolOffsets = getToolOffsets(currentTool, options.tools);
+      measurements.push({
+        line: index + 1,
+        tool: currentTool,
+        ...estimate(createToolLengthSetProgram(settings, toolOffsets, currentTool, checkMode))
+      });
+      measuredInJob.add(currentTool);
+      return;
+    }
+    const parsed = parseM6Command(line);
+    if (!parsed?.matched) {
+      return;
+    }
+    const toolNumber = parsed.toolNumber ?? pendingTool;
+    if (toolNumber === null) {
+      unselected.push(index + 1);
+      return;
+    }
+    const kept = measuredInJob.has(toolNumber) ? 1 : 0;
+    const toolChangeProgram = buildToolChangeProgram(settings, currentTool, toolNumber, getToolOffsets(toolNumber, options.tools));
+    changes.push({
+      line: index + 1,
+      from: currentTool,
+      tool: toolNumber,
+      unload: currentTool === 0 ? null : getChangeMethod(settings, currentTool, 'probeUnloadGcode'),
+      load: toolNumber === 0 ? null : getChangeMethod(settings, toolNumber, 'probeLoadGcode'),
+      ...estimate(toolChangeProgram, {
+        [STORED_LENGTH_PARAM_BASE + toolNumber]: kept,
+        [MEASURED_SESSION_PARAM_BASE + toolNumber]: kept
+      })
+    });
+    measuredInJob.add(toolNumber);
+    currentTool = toolNumber;
+  });
+
+  const tools = [];
+  changes.forEach(({ tool, load }) => {
+    if (tool === 0) {
+      return;
+    }
+    const known = tools.find(entry => entry.tool === tool);
+    if (known) {
+      known.changes += 1;
+      return;
+    }
+    tools.push({
+      tool,
+      slot: getToolSlot(settings, tool),
+      load,
+      probe: tool === settings.probeToolNumber,
+      measured: getToolOffsets(tool, options.tools).length !== null,
+      changes: 1
+    });
+  });
+
+  return {
+    changes,
+    tools,
+    manualLoads: changes.filter(({ load }) => load === 'manual').length,
+    unselected,
+    measurements,
+    overheadSeconds: [...changes, ...measurements].reduce((total, { seconds }) => total + seconds, 0)
+  };
+}
+
+// === Command Handlers (synchronous, no host dependency) ===
+//
+// Each handler looks at one original command and returns the commands that
+// replace it, or null to leave it alone. `state` carries what earlier
+// expansions in the same batch changed — the tool in the spindle after an
+// M6 is the tool the next `$TLS` or M6 in that batch starts from.
+
+// Wrap a generated program as host commands. The first line shows the
+// original command in the console; the rest are silent unless Show Macro
+// Command is on, bar the notices meant for the operator.
+function toExpandedCommands(originalCommand, programLines, settings) {
   const showMacroCommand = settings.showMacroCommand ?? false;
 
-  const expandedCommands = toolLengthSetProgram.map((line, index) => {
+  return programLines.map((line, index) => {
     if (index === 0) {
       return {
         command: line,
-        displayCommand: showMacroCommand ? null : tlsCommand.command.trim(),
+        displayCommand: showMacroCommand ? null : originalCommand.command.trim(),
         isOriginal: false
       };
     } else {
+      const notice = line.trim().startsWith(NOTICE_PREFIX);
       return {
         command: line,
         displayCommand: null,
         isOriginal: false,
-        meta: showMacroCommand ? {} : { silent: true }
+        meta: showMacroCommand || notice ? {} : { silent: true }
       };
     }
   });
-
-  commands.splice(tlsIndex, 1, ...expandedCommands);
 }
 
-function handleHomeCommand(commands, context, settings) {
-  const homeIndex = commands.findIndex(cmd =>
-    cmd.isOriginal && cmd.command.trim().toUpperCase() === '$H'
-  );
+// `$TLS` measures and applies; `$TLS CHECK` re-measures the tool already
+// in use and stops if it came out different from the offset in effect —
+// run it between operations to catch a broken bit. `$TLS REF` makes the
+// tool in use the reference, and only exists in reference mode; otherwise
+// it goes to the controller, which rejects it.
+const TLS_CHECK_MODES = {
+  '$TLS': 'library',
+  '$TLS CHECK': 'previous',
+  '$TLS REF': 'reference'
+};
+
+function handleTLSCommand(cmd, context, settings, state) {
+  const normalizedCommand = cmd.command.trim().toUpperCase().replace(/\s+/g, ' ');
+  const checkMode = TLS_CHECK_MODES[normalizedCommand];
+  if (!checkMode || (checkMode === 'reference' && settings.tlsOffsetMode !== 'reference')) {
+    return null;
+  }
+
+  const unknownPlaceholders = findUnknownPlaceholders(settings);
+  if (unknownPlaceholders.length > 0) {
+    return toExpandedCommands(cmd, createPlaceholderRefusal(unknownPlaceholders, state.currentTool), settings);
+  }
 
-  if (homeIndex === -1) {
-    return;
+  const toolOffsets = getToolOffsets(state.currentTool, context.tools);
+  const toolLengthSetProgram = createToolLengthSetProgram(settings, toolOffsets, state.currentTool, checkMode);
+  const refusal = createMoveRefusal(settings, context, toolLengthSetProgram, state.currentTool);
+  if (refusal) {
+    return toExpandedCommands(cmd, refusal, settings);
   }
 
+  return toExpandedCommands(cmd, toolLengthSetProgram, settings);
+}
+
+function handleHomeCommand(cmd, context, settings, state) {
+  if (cmd.command.trim().toUpperCase() !== '$H') {
+    return null;
+  }
+
+  // Homing starts a new session for the once-per-session TLS policy.
+  const newSession = usesSessionPolicy(settings) ? `#${SESSION_PARAM} = [#${SESSION_PARAM} + 1]` : '';
+
   if (!settings.performTlsAfterHome) {
-    return;
+    return newSession ? toExpandedCommands(cmd, ['$H', newSession], settings) : null;
   }
 
-  const currentTool = context.machineState?.tool ?? 0;
-  const toolOffsets = getToolOffsets(currentTool, context.tools);
+  const unknownPlaceholders = findUnknownPlaceholders(settings);
+  if (unknownPlaceholders.length > 0) {
+    const refusal = createPlaceholderRefusal(unknownPlaceholders, state.currentTool);
+    return toExpandedCommands(cmd, ['$H', newSession, ...refusal].filter(Boolean), settings);
+  }
 
-  const homeCommand = commands[homeIndex];
-  const tlsRoutine = createToolLengthSetRoutine(settings, toolOffsets).join('\n');
+  const toolOffsets = getToolOffsets(state.currentTool, context.tools);
+  const tlsRoutine = createToolLengthSetRoutine(settings, toolOffsets, state.currentTool).join('\n');
 
-  const preToolChangeCmd = settings.preToolChangeGcode?.trim() || '';
-  const postToolChangeCmd = settings.postToolChangeGcode?.trim() || '';
+  const placeholders = getPlaceholderValues(settings, state.currentTool, state.currentTool);
+  const preToolChangeCmd = expandPlaceholders(settings.preToolChangeGcode?.trim(), placeholders);
+  const postToolChangeCmd = expandPlaceholders(settings.postToolChangeGcode?.trim(), placeholders);
 
   const gcode = `
     $H
+    ${newSession}
     #<return_units> = [20 + #<_metric>]
     o100 IF [[#<_tool_offset> EQ 0] AND [#<_current_tool> NE 0]]
       ${preToolChangeCmd}
@@ -683,139 +2671,242 @@ function handleHomeCommand(commands, context, settings) {
     G[#<return_units>]
   `.trim();
 
-  const homeProgram = formatGCode(gcode);
-  const showMacroCommand = settings.showMacroCommand ?? false;
-
-  const expandedCommands = homeProgram.map((line, index) => {
-    if (index === 0) {
-      return {
-        command: line,
-        displayCommand: showMacroCommand ? null : homeCommand.command.trim(),
-        isOriginal: false
-      };
-    } else {
-      return {
-        command: line,
-        displayCommand: null,
-        isOriginal: false,
-        meta: showMacroCommand ? {} : { silent: true }
-      };
-    }
-  });
+  const program = formatGCode(gcode);
+  const refusal = createMoveRefusal(settings, context, program, state.currentTool);
+  if (refusal) {
+    return toExpandedCommands(cmd, ['$H', newSession, ...refusal].filter(Boolean), settings);
+  }
 
-  commands.splice(homeIndex, 1, ...expandedCommands);
+  return toExpandedCommands(cmd, program, settings);
 }
 
 // Manual `$slotN` navigation — parks the spindle over any configured slot,
-// not just the first. The XY comes from the same linear-array math the tool
-// change uses, so a slot the operator jogs to here is the exact spot M6
-// would drive to.
-function handleSlotCommand(commands, settings) {
-  const slotIndex = commands.findIndex(cmd =>
-    cmd.isOriginal && parseSlotCommand(cmd.command) !== null
-  );
-
-  if (slotIndex === -1) {
-    return;
-  }
-
-  const slotCommand = commands[slotIndex];
-  const slotNum = parseSlotCommand(slotCommand.command);
+// not just the first. The XY comes from the same slot math the tool change
+// uses (per-slot corrections included), and the way there goes through the
+// rack's waypoints, so a slot the operator jogs to here is the exact spot M6
+// would drive to, by the same path. On a Premium rack the cover opens
+// first so the operator can jog straight down; it stays open until the next
+// tool change closes it.
+function handleSlotCommand(cmd, context, settings, state) {
+  const slotNum = parseSlotCommand(cmd.command);
 
   // Silently leave out-of-range references alone so a typo can't send the
   // spindle to a slot that doesn't exist — the command falls through to the
   // controller, which reports it as an unknown command.
   if (slotNum === null || slotNum < 1 || slotNum > settings.pockets) {
-    return;
+    return null;
   }
 
   const target = calculateSlotPosition(settings, slotNum);
   const gcode = `
     G53 G21 G90 G0 Z${settings.zSafe}
-    G53 G21 G90 G0 X${target.x} Y${target.y}
+    ${createCoverOpen(settings)}
+    ${createApproachMoves(settings, 'rack', target)}
   `.trim();
 
-  const slotProgram = formatGCode(gcode);
-  const showMacroCommand = settings.showMacroCommand ?? false;
-
-  const expandedCommands = slotProgram.map((line, index) => {
-    if (index === 0) {
-      return {
-        command: line,
-        displayCommand: showMacroCommand ? null : slotCommand.command.trim(),
-        isOriginal: false
-      };
-    } else {
-      return {
-        command: line,
-        displayCommand: null,
-        isOriginal: false,
-        meta: showMacroCommand ? {} : { silent: true }
-      };
-    }
-  });
+  const program = formatGCode(gcode);
+  const refusal = createMoveRefusal(settings, context, program, state.currentTool);
+  if (refusal) {
+    return toExpandedCommands(cmd, refusal, settings);
+  }
 
-  commands.splice(slotIndex, 1, ...expandedCommands);
+  return toExpandedCommands(cmd, program, settings);
 }
 
-function handleM6Command(commands, context, settings) {
-  const m6Index = commands.findIndex(cmd => {
-    if (!cmd.isOriginal) return false;
-    const parsed = parseM6Command(cmd.command);
-    return parsed?.matched && parsed.toolNumber !== null;
-  });
-
-  if (m6Index === -1) {
-    return;
+// A bare `M6` takes the tool from the last T-word selection, in this batch
+// or an earlier one — the caller runs every original line through the
+// T-word tracker before it gets here.
+// A dry run, by the `$ATC DRYRUN` prefix or the Dry Run setting, builds the
+// same change from dry-run settings and leaves the tool as it was — nothing
+// has changed.
+function handleM6Command(cmd, context, settings, state) {
+  const dryRunMatch = cmd.command.trim().match(DRY_RUN_PATTERN);
+  const parsed = parseM6Command(dryRunMatch ? dryRunMatch[1] : cmd.command);
+  if (!parsed?.matched) {
+    return null;
   }
 
-  const m6Command = commands[m6Index];
-  const parsed = parseM6Command(m6Command.command);
+  const toolNumber = parsed.toolNumber ?? state.selectedTool;
+  if (toolNumber === null) {
+    return null;
+  }
 
-  if (!parsed?.matched || parsed.toolNumber === null) {
-    return;
+  // Refused before anything is built: the change never happens. Unknown
+  // placeholders are among the errors.
+  const { errors } = validateSettings(settings, getControllerSettings(context, settings));
+  if (errors.length > 0) {
+    const details = errors.map(({ message }) => message);
+    return toExpandedCommands(cmd, createRefusal('invalid plugin settings', details, 'INVALID_CONFIG', toolNumber), settings);
   }
 
-  const toolNumber = parsed.toolNumber;
-  const currentTool = context.machineState?.tool ?? 0;
   const toolOffsets = getToolOffsets(toolNumber, context.tools);
+  if (dryRunMatch || settings.dryRun) {
+    const dryRunSettings = { ...settings, dryRun: true };
+    const dryRunProgram = createDryRunProgram(dryRunSettings, buildToolChangeProgram(dryRunSettings, state.currentTool, toolNumber, toolOffsets));
+    const refusal = createMoveRefusal(settings, context, dryRunProgram, toolNumber);
+    return toExpandedCommands(cmd, refusal ?? dryRunProgram, settings);
+  }
 
-  const toolChangeProgram = buildToolChangeProgram(settings, currentTool, toolNumber, toolOffsets);
-  const showMacroCommand = settings.showMacroCommand ?? false;
+  const occupancy = getRackOccupancy(settings, state.currentTool);
+  const rackCheck = createRackOccupancyCheck(settings, occupancy, state.currentTool, toolNumber);
+  const toolChangeProgram = buildToolChangeProgram(settings, state.currentTool, toolNumber, toolOffsets, rackCheck);
+  const refusal = createMoveRefusal(settings, context, toolChangeProgram, toolNumber);
+  if (refusal) {
+    return toExpandedCommands(cmd, refusal, settings);
+  }
+  state.currentTool = toolNumber;
 
-  const expandedCommands = toolChangeProgram.map((line, index) => {
-    if (index === 0) {
-      return {
-        command: line,
-        displayCommand: showMacroCommand ? null : m6Command.command.trim(),
-        isOriginal: false
-      };
-    } else {
-      return {
-        command: line,
-        displayCommand: null,
-        isOriginal: false,
-        meta: showMacroCommand ? {} : { silent: true }
-      };
-    }
-  });
+  return toExpandedCommands(cmd, toolChangeProgram, settings);
+}
 
-  commands.splice(m6Index, 1, ...expandedCommands);
+// `$ATC RECOVER` after an aborted or interrupted M6. Whether there is
+// anything to recover is only known on the controller, from the phase, so
+// the tool in the spindle is left to the M61 the program ends with.
+function handleRecoverCommand(cmd, context, settings, state) {
+  if (!RECOVER_PATTERN.test(cmd.command.trim())) {
+    return null;
+  }
+
+  const program = createRecoveryProgram(settings, state.currentTool);
+  const refusal = createMoveRefusal(settings, context, program, state.currentTool);
+  if (refusal) {
+    return toExpandedCommands(cmd, refusal, settings);
+  }
+
+  return toExpandedCommands(cmd, program, settings);
 }
 
 // === Main Entry Point ===
 
-function onBeforeCommand(commands, context, settings) {
+// What the expansions in one batch start from: the tool in the spindle, as
+// the host reports it, and the tool the last T-word selected for a bare M6.
+function createBatchState(context) {
+  return {
+    currentTool: context.machineState?.tool ?? 0,
+    selectedTool: toolSelection.tool
+  };
+}
+
+// The commands that replace one original command, or null to leave it.
+function expandCommand(cmd, context, settings, state) {
+  trackToolSelection(cmd.command, state);
+  return handleHomeCommand(cmd, context, settings, state)
+    ?? handleTLSCommand(cmd, context, settings, state)
+    ?? handleSlotCommand(cmd, context, settings, state)
+    ?? handleRecoverCommand(cmd, context, settings, state)
+    ?? handleM6Command(cmd, context, settings, state);
+}
+
+// The commands a batch is sent as, and the T-word selection it leaves.
+function expandBatch(commands, context, settings) {
   // Use core app's safe Z height setting, fallback to 0 (machine Z0)
-  if (context && context.safeZHeight !== undefined) {
+  if (context.safeZHeight !== undefined) {
     settings.zSafe = context.safeZHeight;
   }
 
-  handleHomeCommand(commands, context, settings);
-  handleTLSCommand(commands, context, settings);
-  handleSlotCommand(commands, settings);
-  handleM6Command(commands, context, settings);
+  // Every original command is expanded in order, not just the first match,
+  // so a batch holding several tool changes runs each against the tool the
+  // previous one left in the spindle.
+  const state = createBatchState(context);
+  const output = [];
+  // Said once, in the first program of the batch, so the operator knows the
+  // moves went unchecked.
+  let travelNotice = getTravelEnvelope(getControllerSettings(context, settings))
+    ? []
+    : [{ command: createNotice(TRAVEL_UNKNOWN_MESSAGE), displayCommand: null, isOriginal: false, meta: {} }];
+
+  for (const cmd of commands) {
+    if (!cmd.isOriginal) {
+      output.push(cmd);
+      continue;
+    }
+    const expanded = expandCommand(cmd, context, settings, state);
+    if (expanded) {
+      const [first, ...rest] = expanded;
+      output.push(first, ...travelNotice, ...rest);
+      travelNotice = [];
+    } else {
+      output.push(cmd);
+    }
+  }
+  return { output, selectedTool: state.selectedTool };
+}
+
+function onBeforeCommand(commands, context, settings) {
+  const { output, selectedTool } = expandBatch(commands, context || {}, settings);
+  toolSelection.tool = selectedTool;
+
+  commands.splice(0, commands.length, ...output);
   return commands;
 }
 
-export { onBeforeCommand, buildInitialConfig };
+// === Preview ===
+//
+// What one command would be sent as: a batch of that one line through the
+// same expansion as onBeforeCommand, notices included. The settings are
+// built fresh and the T-word selection it leaves is dropped, so a preview
+// never counts as a tool change.
+
+function expandForPreview(command, raw, context) {
+  const { output } = expandBatch([{ command, isOriginal: true }], context, buildInitialConfig(raw));
+  return output.map(cmd => cmd.command);
+}
+
+// Line diff from `before` to `after` by longest common subsequence, as
+// `{ type: 'same' | 'removed' | 'added', line }` in order.
+function diffLines(before, after) {
+  const common = before.map(() => new Array(after.length + 1).fill(0));
+  common.push(new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i][j] = before[i] === after[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      diff.push({ type: 'same', line: after[j] });
+      i++;
+      j++;
+    } else if (i < before.length && (j === after.length || common[i + 1][j] >= common[i][j + 1])) {
+      diff.push({ type: 'removed', line: before[i] });
+      i++;
+    } else {
+      diff.push({ type: 'added', line: after[j] });
+      j++;
+    }
+  }
+  return diff;
+}
+
+// `command` as it would be expanded with the settings `raw` — saved or
+// still being edited — and the host `context` (tool in the spindle, tool
+// library, controller settings, safe Z). With `saved`, the last saved
+// settings, `diff` shows how the edits change it; otherwise it is null.
+function previewCommand(command, raw, context = {}, saved = null) {
+  const lines = expandForPreview(command, raw, context);
+  return {
+    lines,
+    diff: saved ? diffLines(expandForPreview(command, saved, context), lines) : null
+  };
+}
+
+export {
+  onBeforeCommand,
+  buildInitialConfig,
+  validateConfig,
+  analyzeProgram,
+  previewCommand,
+  calculateSlotPosition,
+  getRackOccupancy,
+  formatGCode,
+  getSensorCheckCondition,
+  getSensorCheckClose,
+  EVENT_PLACEHOLDERS,
+  PLACEHOLDER_PATTERN,
+  CONTROLLER_SETTING_NUMBERS
+};